@@ -1 +1,119 @@
-document.addEventListener("DOMContentLoaded",function(){var e=document.getElementById("definition"),t=document.getElementById("definitions");new Typed(e,{stringsElement:t,typeSpeed:3,startDelay:0,smartBackspace:!1,backSpeed:1,shuffle:!0,backDelay:900,loop:!0,loopCount:!1,showCursor:!1,cursorChar:"|"})});
\ No newline at end of file
+// Typed.js tagline, typed from the roles in #definitions.
+//
+// tools/roles.mjs writes that list into the page from /js/roles.json, so it
+// is there for crawlers and screen readers (visually hidden) and without JS.
+// Each role in the JSON is {label, link, category, weight}, in list order;
+// here it only supplies the categories and weights. ?focus=ai (or
+// ?focus=ai,data) limits the tagline to those categories.
+//
+// Every role is typed once before any repeats; within each pass heavier
+// weights tend to come first. Links in the list carry tabindex="-1", so
+// neither the hidden list nor the aria-hidden typed copy takes focus.
+//
+// Under reduced motion (html.reduced-motion / motionchange) it stops on one
+// complete role instead of cycling.
+document.addEventListener("DOMContentLoaded", function () {
+    var html = document.documentElement;
+    var items = Array.prototype.map.call(document.getElementById("definitions").children, function (li) {
+        return li.innerHTML;
+    });
+
+    function focusedRoles(roles) {
+        var focus = new URLSearchParams(location.search).get("focus");
+        if (!focus) return roles;
+        var categories = focus.toLowerCase().split(",");
+        var matches = roles.filter(function (role) {
+            return categories.indexOf(role.category) !== -1;
+        });
+        return matches.length ? matches : roles;
+    }
+
+    // Pairs each list item with its category and weight; without matching
+    // data every item gets the default weight
+    function withData(data) {
+        if (data && data.length !== items.length) {
+            console.warn("tagline: roles.json and #definitions differ - run tools/roles.mjs");
+            data = null;
+        }
+        return items.map(function (item, i) {
+            return { html: item, category: data && data[i].category, weight: data && data[i].weight };
+        });
+    }
+
+    function start(data) {
+        var roles = focusedRoles(withData(data));
+        var strings = roles.map(function (role) {
+            return role.html;
+        });
+        var lastShown = -1;
+        if (!strings.length) return;
+
+        var typed = new Typed(document.getElementById("definition"), {
+            strings: strings,
+            typeSpeed: 3,
+            startDelay: 0,
+            smartBackspace: false,
+            backSpeed: 1,
+            shuffle: true,
+            backDelay: 900,
+            loop: true,
+            loopCount: false,
+            showCursor: false,
+            cursorChar: "|",
+            preStringTyped: function (arrayPos) {
+                lastShown = typed.sequence[arrayPos];
+            }
+        });
+
+        // Typed reshuffles at the start of every pass; order each pass by
+        // weighted random keys (random ^ 1/weight, largest first) and don't
+        // open a pass with the role that just closed the last one.
+        typed.shuffleArray = function (sequence) {
+            var keys = sequence.map(function (index) {
+                return Math.pow(Math.random(), 1 / (roles[index].weight || 1));
+            });
+            var order = sequence.map(function (index, i) {
+                return i;
+            }).sort(function (a, b) {
+                return keys[b] - keys[a];
+            }).map(function (i) {
+                return sequence[i];
+            });
+            if (order.length > 1 && order[0] === lastShown) order.push(order.shift());
+            return order;
+        };
+
+        function hold() {
+            clearTimeout(typed.timeout);
+            typed.stop = true;
+            // Before the first role has started there is no sequence yet, so pick one
+            var index = typed.sequence.length ? typed.sequence[typed.arrayPos] : typed.shuffleArray(strings.map(function (s, i) { return i; }))[0];
+            typed.replaceText(typed.strings[index]);
+        }
+
+        function play() {
+            if (!typed.stop) return;
+            typed.stop = false;
+            if (!typed.sequence.length) return typed.init();
+            var current = typed.strings[typed.sequence[typed.arrayPos]];
+            typed.backspace(current, current.length);
+        }
+
+        if (html.classList.contains("reduced-motion")) hold();
+        window.addEventListener("motionchange", function (e) {
+            if (e.detail && e.detail.reduced) hold();
+            else play();
+        });
+    }
+
+    fetch("/js/roles.json")
+        .then(function (response) {
+            if (!response.ok) throw new Error(response.status + " " + response.statusText);
+            return response.json();
+        })
+        .catch(function (e) {
+            console.warn("tagline: could not load roles.json, typing the list unweighted", e);
+            return null;
+        })
+        .then(start);
+});
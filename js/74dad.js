@@ -1 +1,1801 @@
-const a0_0x3d2090=a0_0x3d98;(function(_0x2a1998,_0x180c03){const _0x4422e9=a0_0x3d98,_0x2c80d9=_0x2a1998();while(!![]){try{const _0xb5428f=parseInt(_0x4422e9(0x23e))/0x1+-parseInt(_0x4422e9(0x203))/0x2*(parseInt(_0x4422e9(0x2a1))/0x3)+parseInt(_0x4422e9(0x2c2))/0x4*(-parseInt(_0x4422e9(0x26f))/0x5)+-parseInt(_0x4422e9(0x264))/0x6+-parseInt(_0x4422e9(0x235))/0x7+-parseInt(_0x4422e9(0x25a))/0x8+parseInt(_0x4422e9(0x22e))/0x9*(parseInt(_0x4422e9(0x26c))/0xa);if(_0xb5428f===_0x180c03)break;else _0x2c80d9['push'](_0x2c80d9['shift']());}catch(_0xa3f7b){_0x2c80d9['push'](_0x2c80d9['shift']());}}}(a0_0x3f78,0xd823c));import*as a0_0x159b3f from'\x74\x68\x72\x65\x65';class SimplexNoise{constructor(_0x35a974=Math[a0_0x3d2090(0x2bc)]()){const _0x5bc78d=a0_0x3d2090;this['\x70']=new Uint8Array(0x100);for(let _0x5ceeae=0x0;_0x5ceeae<0x100;_0x5ceeae++){this['\x70'][_0x5ceeae]=_0x5ceeae;}const _0x56d401=this['\x5f\x63\x72\x65\x61\x74\x65\x53\x65\x65\x64\x65\x64\x52\x61\x6e\x64\x6f\x6d'](_0x35a974);for(let _0x22bbe9=0xff;_0x22bbe9>0x0;_0x22bbe9--){const _0x1cf474=Math['\x66\x6c\x6f\x6f\x72'](_0x56d401()*(_0x22bbe9+0x1));[this['\x70'][_0x22bbe9],this['\x70'][_0x1cf474]]=[this['\x70'][_0x1cf474],this['\x70'][_0x22bbe9]];}this[_0x5bc78d(0x285)]=new Uint8Array(0x200),this[_0x5bc78d(0x2ba)]=new Uint8Array(0x200);for(let _0x3d9ce4=0x0;_0x3d9ce4<0x200;_0x3d9ce4++){this[_0x5bc78d(0x285)][_0x3d9ce4]=this['\x70'][_0x3d9ce4&0xff],this[_0x5bc78d(0x2ba)][_0x3d9ce4]=this['\x70\x65\x72\x6d'][_0x3d9ce4]%0xc;}}[a0_0x3d2090(0x24b)](_0x3a4f3f){return function(){const _0x1a29b4=a0_0x3d98,_0x4fef90=Math['\x73\x69\x6e'](_0x3a4f3f++)*0x2710;return _0x4fef90-Math[_0x1a29b4(0x2b0)](_0x4fef90);};}[a0_0x3d2090(0x211)](_0x4d00cb,_0x2768f9,_0x7891e5){const _0x4a2ae2=a0_0x3d2090,_0x42f7a3=[[0x1,0x1,0x0],[-0x1,0x1,0x0],[0x1,-0x1,0x0],[-0x1,-0x1,0x0],[0x1,0x0,0x1],[-0x1,0x0,0x1],[0x1,0x0,-0x1],[-0x1,0x0,-0x1],[0x0,0x1,0x1],[0x0,-0x1,0x1],[0x0,0x1,-0x1],[0x0,-0x1,-0x1]],_0xbd71a0=0x1/0x3,_0x4df8f2=0x1/0x6,_0x6a4778=(_0x4d00cb+_0x2768f9+_0x7891e5)*_0xbd71a0,_0x6c9f1b=Math['\x66\x6c\x6f\x6f\x72'](_0x4d00cb+_0x6a4778),_0x3fbef8=Math[_0x4a2ae2(0x2b0)](_0x2768f9+_0x6a4778),_0xfe5568=Math[_0x4a2ae2(0x2b0)](_0x7891e5+_0x6a4778),_0xc2c5b3=(_0x6c9f1b+_0x3fbef8+_0xfe5568)*_0x4df8f2,_0x2ecf10=_0x6c9f1b-_0xc2c5b3,_0x54f659=_0x3fbef8-_0xc2c5b3,_0x10b03f=_0xfe5568-_0xc2c5b3,_0x52c723=_0x4d00cb-_0x2ecf10,_0x5885ae=_0x2768f9-_0x54f659,_0x5eda96=_0x7891e5-_0x10b03f;let _0x356a4a,_0x16ce55,_0x1df64d,_0x1876fa,_0x2202b5,_0x1cf8c3;if(_0x52c723>=_0x5885ae){if(_0x5885ae>=_0x5eda96)_0x356a4a=0x1,_0x16ce55=0x0,_0x1df64d=0x0,_0x1876fa=0x1,_0x2202b5=0x1,_0x1cf8c3=0x0;else _0x52c723>=_0x5eda96?(_0x356a4a=0x1,_0x16ce55=0x0,_0x1df64d=0x0,_0x1876fa=0x1,_0x2202b5=0x0,_0x1cf8c3=0x1):(_0x356a4a=0x0,_0x16ce55=0x0,_0x1df64d=0x1,_0x1876fa=0x1,_0x2202b5=0x0,_0x1cf8c3=0x1);}else{if(_0x5885ae<_0x5eda96)_0x356a4a=0x0,_0x16ce55=0x0,_0x1df64d=0x1,_0x1876fa=0x0,_0x2202b5=0x1,_0x1cf8c3=0x1;else _0x52c723<_0x5eda96?(_0x356a4a=0x0,_0x16ce55=0x1,_0x1df64d=0x0,_0x1876fa=0x0,_0x2202b5=0x1,_0x1cf8c3=0x1):(_0x356a4a=0x0,_0x16ce55=0x1,_0x1df64d=0x0,_0x1876fa=0x1,_0x2202b5=0x1,_0x1cf8c3=0x0);}const _0x2818c4=_0x52c723-_0x356a4a+_0x4df8f2,_0x3c55a6=_0x5885ae-_0x16ce55+_0x4df8f2,_0x553a9e=_0x5eda96-_0x1df64d+_0x4df8f2,_0x52bfee=_0x52c723-_0x1876fa+0x2*_0x4df8f2,_0x2d62f0=_0x5885ae-_0x2202b5+0x2*_0x4df8f2,_0x313170=_0x5eda96-_0x1cf8c3+0x2*_0x4df8f2,_0x1fdb7f=_0x52c723-0x1+0x3*_0x4df8f2,_0x48d91d=_0x5885ae-0x1+0x3*_0x4df8f2,_0x5a62ae=_0x5eda96-0x1+0x3*_0x4df8f2,_0x44831e=_0x6c9f1b&0xff,_0x135ef4=_0x3fbef8&0xff,_0x243036=_0xfe5568&0xff,_0xe6cdc1=this[_0x4a2ae2(0x2ba)][_0x44831e+this[_0x4a2ae2(0x285)][_0x135ef4+this[_0x4a2ae2(0x285)][_0x243036]]],_0x4c2a22=this[_0x4a2ae2(0x2ba)][_0x44831e+_0x356a4a+this[_0x4a2ae2(0x285)][_0x135ef4+_0x16ce55+this[_0x4a2ae2(0x285)][_0x243036+_0x1df64d]]],_0x8a9d38=this[_0x4a2ae2(0x2ba)][_0x44831e+_0x1876fa+this['\x70\x65\x72\x6d'][_0x135ef4+_0x2202b5+this[_0x4a2ae2(0x285)][_0x243036+_0x1cf8c3]]],_0x1abd0e=this['\x70\x65\x72\x6d\x4d\x6f\x64\x31\x32'][_0x44831e+0x1+this['\x70\x65\x72\x6d'][_0x135ef4+0x1+this[_0x4a2ae2(0x285)][_0x243036+0x1]]];let _0x208c65=0.6-_0x52c723*_0x52c723-_0x5885ae*_0x5885ae-_0x5eda96*_0x5eda96,_0x21f1a9=0x0;_0x208c65>=0x0&&(_0x208c65*=_0x208c65,_0x21f1a9=_0x208c65*_0x208c65*(_0x42f7a3[_0xe6cdc1][0x0]*_0x52c723+_0x42f7a3[_0xe6cdc1][0x1]*_0x5885ae+_0x42f7a3[_0xe6cdc1][0x2]*_0x5eda96));let _0x2ff0be=0.6-_0x2818c4*_0x2818c4-_0x3c55a6*_0x3c55a6-_0x553a9e*_0x553a9e,_0x4b3c4e=0x0;_0x2ff0be>=0x0&&(_0x2ff0be*=_0x2ff0be,_0x4b3c4e=_0x2ff0be*_0x2ff0be*(_0x42f7a3[_0x4c2a22][0x0]*_0x2818c4+_0x42f7a3[_0x4c2a22][0x1]*_0x3c55a6+_0x42f7a3[_0x4c2a22][0x2]*_0x553a9e));let _0x154c57=0.6-_0x52bfee*_0x52bfee-_0x2d62f0*_0x2d62f0-_0x313170*_0x313170,_0x51ad02=0x0;_0x154c57>=0x0&&(_0x154c57*=_0x154c57,_0x51ad02=_0x154c57*_0x154c57*(_0x42f7a3[_0x8a9d38][0x0]*_0x52bfee+_0x42f7a3[_0x8a9d38][0x1]*_0x2d62f0+_0x42f7a3[_0x8a9d38][0x2]*_0x313170));let _0x400cd1=0.6-_0x1fdb7f*_0x1fdb7f-_0x48d91d*_0x48d91d-_0x5a62ae*_0x5a62ae,_0x417c9e=0x0;return _0x400cd1>=0x0&&(_0x400cd1*=_0x400cd1,_0x417c9e=_0x400cd1*_0x400cd1*(_0x42f7a3[_0x1abd0e][0x0]*_0x1fdb7f+_0x42f7a3[_0x1abd0e][0x1]*_0x48d91d+_0x42f7a3[_0x1abd0e][0x2]*_0x5a62ae)),0x20*(_0x21f1a9+_0x4b3c4e+_0x51ad02+_0x417c9e);}}const a0_0xa496d9={};a0_0xa496d9[a0_0x3d2090(0x1ff)]=0x2a,a0_0xa496d9[a0_0x3d2090(0x25d)]=0.5,a0_0xa496d9[a0_0x3d2090(0x1e7)]=0x15e,a0_0xa496d9[a0_0x3d2090(0x239)]=0x9c4,a0_0xa496d9[a0_0x3d2090(0x253)]=0xbb8,a0_0xa496d9[a0_0x3d2090(0x2aa)]=0x2d,a0_0xa496d9[a0_0x3d2090(0x2b6)]=0xbb8,a0_0xa496d9[a0_0x3d2090(0x1f0)]=0.69,a0_0xa496d9['\x64\x65\x70\x74\x68\x4d\x75\x6c\x74\x69\x70\x6c\x69\x65\x72']=0.15,a0_0xa496d9['\x6e\x75\x6d\x43\x6f\x6e\x74\x72\x6f\x6c\x50\x6f\x69\x6e\x74\x73']=0x64,a0_0xa496d9[a0_0x3d2090(0x289)]=0x1,a0_0xa496d9[a0_0x3d2090(0x1d7)]=0.00094,a0_0xa496d9['\x62\x61\x73\x65\x54\x69\x6c\x74\x58']=0.25,a0_0xa496d9[a0_0x3d2090(0x1f3)]=0.12,a0_0xa496d9['\x6e\x75\x6d\x43\x75\x72\x76\x65\x56\x61\x72\x69\x61\x74\x69\x6f\x6e\x73']=0xd,a0_0xa496d9[a0_0x3d2090(0x2af)]=0x111111,a0_0xa496d9[a0_0x3d2090(0x231)]=0xf8f7f4,a0_0xa496d9['\x6c\x69\x67\x68\x74\x4c\x69\x6e\x65\x43\x6f\x6c\x6f\x72']=0x343434,a0_0xa496d9[a0_0x3d2090(0x204)]=0xf5f3ef,a0_0xa496d9['\x6c\x69\x67\x68\x74\x46\x69\x6c\x6c\x43\x6f\x6c\x6f\x72']=0xf5f3ef,a0_0xa496d9['\x64\x61\x72\x6b\x4c\x69\x6e\x65\x43\x6f\x6c\x6f\x72']=0xd0d0d0,a0_0xa496d9[a0_0x3d2090(0x238)]=0x121212,a0_0xa496d9['\x64\x61\x72\x6b\x46\x69\x6c\x6c\x43\x6f\x6c\x6f\x72']=0x1e1e1e,a0_0xa496d9['\x72\x69\x70\x70\x6c\x65\x43\x6f\x6c\x6f\x72\x73']=[[0x96,0x2d,0x37],[0x2d,0x78,0x50],[0x37,0x4b,0x91],[0x5f,0x37,0x82],[0xd2,0xaf,0x2d],[0xb9,0x6e,0x32],[0x4b,0x28,0x91]],a0_0xa496d9[a0_0x3d2090(0x2a2)]=0x9c4,a0_0xa496d9['\x72\x69\x70\x70\x6c\x65\x46\x61\x64\x65\x54\x69\x6d\x65']=0xbb8,a0_0xa496d9[a0_0x3d2090(0x209)]=0.25,a0_0xa496d9['\x72\x69\x70\x70\x6c\x65\x49\x6e\x74\x65\x6e\x73\x69\x74\x79']=1.4,a0_0xa496d9[a0_0x3d2090(0x1e8)]=0.5,a0_0xa496d9['\x69\x6e\x66\x6c\x75\x65\x6e\x63\x65\x4c\x65\x72\x70']=0.04,a0_0xa496d9['\x6d\x6f\x75\x73\x65\x4c\x69\x67\x68\x74\x52\x61\x64\x69\x75\x73']=0x50,a0_0xa496d9[a0_0x3d2090(0x24c)]=0.4,a0_0xa496d9['\x63\x6f\x6c\x6f\x72\x43\x79\x63\x6c\x65\x54\x69\x6d\x65']=0x9c4,a0_0xa496d9[a0_0x3d2090(0x1f4)]=0.35;function a0_0x3d98(_0x4b46c1,_0x2f127a){_0x4b46c1=_0x4b46c1-0x1d7;const _0x3f78d9=a0_0x3f78();let _0x3d981b=_0x3f78d9[_0x4b46c1];if(a0_0x3d98['\x46\x50\x63\x54\x6c\x7a']===undefined){var _0x342f07=function(_0x41fb90){const _0x501402='\x61\x62\x63\x64\x65\x66\x67\x68\x69\x6a\x6b\x6c\x6d\x6e\x6f\x70\x71\x72\x73\x74\x75\x76\x77\x78\x79\x7a\x41\x42\x43\x44\x45\x46\x47\x48\x49\x4a\x4b\x4c\x4d\x4e\x4f\x50\x51\x52\x53\x54\x55\x56\x57\x58\x59\x5a\x30\x31\x32\x33\x34\x35\x36\x37\x38\x39\x2b\x2f\x3d';let _0xa496d9='',_0x44a5fe='';for(let _0x4e6892=0x0,_0x45dd7f,_0x5975a2,_0x3552ab=0x0;_0x5975a2=_0x41fb90['\x63\x68\x61\x72\x41\x74'](_0x3552ab++);~_0x5975a2&&(_0x45dd7f=_0x4e6892%0x4?_0x45dd7f*0x40+_0x5975a2:_0x5975a2,_0x4e6892++%0x4)?_0xa496d9+=String['\x66\x72\x6f\x6d\x43\x68\x61\x72\x43\x6f\x64\x65'](0xff&_0x45dd7f>>(-0x2*_0x4e6892&0x6)):0x0){_0x5975a2=_0x501402['\x69\x6e\x64\x65\x78\x4f\x66'](_0x5975a2);}for(let _0x1016bb=0x0,_0x35997f=_0xa496d9['\x6c\x65\x6e\x67\x74\x68'];_0x1016bb<_0x35997f;_0x1016bb++){_0x44a5fe+='\x25'+('\x30\x30'+_0xa496d9['\x63\x68\x61\x72\x43\x6f\x64\x65\x41\x74'](_0x1016bb)['\x74\x6f\x53\x74\x72\x69\x6e\x67'](0x10))['\x73\x6c\x69\x63\x65'](-0x2);}return decodeURIComponent(_0x44a5fe);};a0_0x3d98['\x43\x79\x65\x44\x48\x47']=_0x342f07,a0_0x3d98['\x47\x69\x6f\x4a\x50\x66']={},a0_0x3d98['\x46\x50\x63\x54\x6c\x7a']=!![];}const _0x516d25=_0x3f78d9[0x0],_0x4c76d5=_0x4b46c1+_0x516d25,_0x17acfe=a0_0x3d98['\x47\x69\x6f\x4a\x50\x66'][_0x4c76d5];return!_0x17acfe?(_0x3d981b=a0_0x3d98['\x43\x79\x65\x44\x48\x47'](_0x3d981b),a0_0x3d98['\x47\x69\x6f\x4a\x50\x66'][_0x4c76d5]=_0x3d981b):_0x3d981b=_0x17acfe,_0x3d981b;}const CONFIG=a0_0xa496d9;CONFIG[a0_0x3d2090(0x24e)]=CONFIG[a0_0x3d2090(0x229)];const isDarkMode=document[a0_0x3d2090(0x262)][a0_0x3d2090(0x259)]['\x63\x6f\x6e\x74\x61\x69\x6e\x73'](a0_0x3d2090(0x218));isDarkMode&&(CONFIG['\x6c\x69\x6e\x65\x43\x6f\x6c\x6f\x72']=CONFIG[a0_0x3d2090(0x200)],CONFIG['\x62\x61\x63\x6b\x67\x72\x6f\x75\x6e\x64\x43\x6f\x6c\x6f\x72']=CONFIG[a0_0x3d2090(0x238)],CONFIG[a0_0x3d2090(0x24e)]=CONFIG[a0_0x3d2090(0x29c)]);window[a0_0x3d2090(0x21e)](a0_0x3d2090(0x22f),_0x523f2c=>{const _0x2960ed=a0_0x3d2090,_0x59af70=_0x523f2c['\x64\x65\x74\x61\x69\x6c']?.['\x69\x73\x44\x61\x72\x6b'],_0x2a423f=_0x59af70?CONFIG[_0x2960ed(0x200)]:CONFIG[_0x2960ed(0x21f)],_0x308c56=_0x59af70?CONFIG[_0x2960ed(0x238)]:CONFIG[_0x2960ed(0x204)],_0x5d2f93=_0x59af70?CONFIG[_0x2960ed(0x29c)]:CONFIG['\x6c\x69\x67\x68\x74\x46\x69\x6c\x6c\x43\x6f\x6c\x6f\x72'];if(window[_0x2960ed(0x27d)]){const _0xe30936=0x1f4,_0x218cf8=performance[_0x2960ed(0x220)](),_0x232001=window[_0x2960ed(0x27d)][_0x2960ed(0x1f1)][_0x2960ed(0x284)][_0x2960ed(0x1ea)](),_0x5c15f7=new a0_0x159b3f[(_0x2960ed(0x298))](_0x308c56),_0x15e0ae=new a0_0x159b3f['\x43\x6f\x6c\x6f\x72'](CONFIG['\x6c\x69\x6e\x65\x43\x6f\x6c\x6f\x72']),_0x22fb9a=new a0_0x159b3f[(_0x2960ed(0x298))](_0x2a423f),_0x8ed914=new a0_0x159b3f['\x43\x6f\x6c\x6f\x72'](CONFIG[_0x2960ed(0x24e)]),_0xf5eed1=new a0_0x159b3f[(_0x2960ed(0x298))](_0x5d2f93);function _0x18222c(_0x431226){const _0x13384b=_0x2960ed,_0x54d1fc=_0x431226-_0x218cf8,_0x142ec6=Math[_0x13384b(0x205)](_0x54d1fc/_0xe30936,0x1),_0x1255b4=_0x142ec6<0.5?0x2*_0x142ec6*_0x142ec6:0x1-Math[_0x13384b(0x23b)](-0x2*_0x142ec6+0x2,0x2)/0x2;window[_0x13384b(0x27d)][_0x13384b(0x1f1)][_0x13384b(0x284)][_0x13384b(0x1e6)](_0x232001,_0x5c15f7,_0x1255b4);const _0x3b48f2=new a0_0x159b3f['\x43\x6f\x6c\x6f\x72']()[_0x13384b(0x1e6)](_0x15e0ae,_0x22fb9a,_0x1255b4),_0x28a447=new a0_0x159b3f[(_0x13384b(0x298))]()[_0x13384b(0x1e6)](_0x8ed914,_0xf5eed1,_0x1255b4);for(const _0x3c7d59 of window[_0x13384b(0x27d)][_0x13384b(0x251)]){for(const _0x184194 of _0x3c7d59[_0x13384b(0x222)]){_0x184194[_0x13384b(0x29b)](_0x3b48f2['\x67\x65\x74\x48\x65\x78']());}for(const _0x1e05e6 of _0x3c7d59[_0x13384b(0x2a7)]){_0x1e05e6['\x6d\x65\x73\x68'][_0x13384b(0x258)][_0x13384b(0x280)]['\x63\x6f\x70\x79'](_0x28a447);}}_0x142ec6<0x1?requestAnimationFrame(_0x18222c):(CONFIG[_0x13384b(0x2af)]=_0x2a423f,CONFIG[_0x13384b(0x231)]=_0x308c56,CONFIG[_0x13384b(0x24e)]=_0x5d2f93);}requestAnimationFrame(_0x18222c);}else CONFIG[_0x2960ed(0x2af)]=_0x2a423f,CONFIG[_0x2960ed(0x231)]=_0x308c56,CONFIG[_0x2960ed(0x24e)]=_0x5d2f93;});const a0_0x44a5fe={};a0_0x44a5fe['\x78']=0.15,a0_0x44a5fe['\x79']=0.3,a0_0x44a5fe['\x7a']=0.1;const a0_0x4e6892={};a0_0x4e6892['\x78']=0.25,a0_0x4e6892['\x79']=0.4,a0_0x4e6892['\x7a']=0.1;const a0_0x45dd7f={};a0_0x45dd7f['\x78']=0.3,a0_0x45dd7f['\x79']=0.2,a0_0x45dd7f['\x7a']=0.05;const a0_0x5975a2={};a0_0x5975a2['\x78']=0.2,a0_0x5975a2['\x79']=0.5,a0_0x5975a2['\x7a']=0.12;const a0_0x3552ab={};a0_0x3552ab['\x78']=0.22,a0_0x3552ab['\x79']=0.35,a0_0x3552ab['\x7a']=0.08;function a0_0x3f78(){const _0x4077a1=['\x42\x77\x39\x31\x43\x32\x76\x6a\x42\x4d\x7a\x53\x44\x77\x76\x55\x79\x32\x76\x79','\x43\x4d\x4c\x49\x79\x4d\x39\x55\x76\x32\x4c\x4b\x44\x67\x48\x73\x79\x78\x72\x50\x42\x57','\x79\x4d\x4c\x55\x42\x33\x6a\x54\x79\x77\x58\x5a','\x7a\x32\x76\x30\x75\x67\x39\x50\x42\x4e\x71','\x41\x78\x6e\x64\x42\x67\x4c\x4a\x41\x57','\x42\x4d\x39\x59\x42\x77\x66\x53\x41\x78\x50\x4c','\x7a\x67\x39\x4a\x44\x77\x31\x4c\x42\x4e\x72\x66\x42\x67\x76\x54\x7a\x77\x35\x30','\x42\x77\x39\x31\x43\x32\x76\x31\x43\x61','\x6e\x74\x65\x32\x6e\x5a\x71\x57\x6e\x65\x66\x66\x76\x66\x6e\x75\x43\x57','\x79\x78\x62\x57\x42\x68\x4c\x69\x42\x33\x7a\x4c\x43\x4c\x62\x59\x7a\x78\x7a\x50\x7a\x78\x43','\x42\x67\x4c\x55\x7a\x75\x31\x4c\x43\x32\x47','\x79\x32\x58\x50\x7a\x77\x35\x30\x77\x61','\x79\x77\x6e\x30\x41\x78\x7a\x4c\x75\x4d\x4c\x57\x43\x67\x58\x4c\x43\x57','\x41\x77\x35\x55\x7a\x78\x6a\x69\x7a\x77\x4c\x4e\x41\x68\x71','\x44\x78\x62\x4b\x79\x78\x72\x4c\x71\x33\x4c\x4a\x42\x67\x4c\x55\x7a\x30\x6e\x56\x42\x67\x39\x59','\x42\x77\x39\x59\x43\x67\x48\x71\x43\x4d\x39\x4e\x43\x4d\x76\x5a\x43\x57','\x6d\x74\x62\x6e\x7a\x66\x6e\x41\x42\x4b\x65','\x79\x32\x39\x31\x42\x4e\x71','\x43\x4d\x39\x30\x79\x78\x72\x50\x42\x32\x35\x75\x41\x77\x31\x4c','\x6e\x76\x62\x41\x42\x4b\x76\x31\x72\x71','\x75\x32\x6e\x4c\x42\x4d\x75','\x42\x77\x39\x31\x43\x32\x76\x54\x42\x33\x7a\x4c','\x41\x77\x35\x4d\x42\x68\x76\x4c\x42\x4d\x6e\x4c\x74\x67\x76\x59\x43\x61','\x79\x4d\x66\x5a\x7a\x75\x39\x4d\x7a\x4e\x6e\x4c\x44\x61','\x79\x77\x35\x50\x42\x77\x66\x30\x41\x77\x39\x55\x73\x77\x71','\x7a\x68\x6a\x48\x44\x31\x62\x59\x42\x32\x44\x59\x7a\x78\x6e\x5a','\x43\x4d\x76\x54\x42\x33\x7a\x4c','\x42\x77\x39\x31\x43\x32\x76\x65\x42\x33\x44\x55\x75\x67\x39\x5a','\x79\x33\x76\x59\x43\x4d\x76\x55\x44\x65\x6e\x31\x43\x4e\x7a\x4c\x73\x77\x35\x4b\x7a\x78\x47','\x42\x77\x76\x5a\x41\x61','\x42\x32\x58\x4b\x75\x67\x39\x5a\x41\x78\x72\x50\x42\x32\x35\x5a','\x43\x4d\x4c\x57\x43\x67\x58\x4c\x73\x77\x35\x30\x7a\x77\x35\x5a\x41\x78\x72\x35','\x44\x67\x39\x31\x79\x32\x48\x54\x42\x33\x7a\x4c','\x43\x4d\x4c\x49\x79\x4d\x39\x55\x74\x77\x66\x55\x79\x77\x44\x4c\x43\x47','\x79\x32\x39\x53\x42\x33\x6a\x64\x45\x77\x6e\x53\x7a\x76\x6e\x30\x79\x78\x6a\x30','\x43\x67\x66\x31\x43\x32\x75','\x79\x32\x39\x53\x42\x33\x69','\x74\x67\x4c\x55\x7a\x75\x6a\x48\x43\x32\x4c\x4a\x74\x77\x66\x30\x7a\x78\x6a\x50\x79\x77\x57','\x43\x4d\x66\x35\x79\x32\x66\x5a\x44\x67\x76\x59','\x42\x77\x39\x59\x43\x67\x48\x50\x42\x4d\x43','\x79\x4d\x66\x4a\x41\x32\x44\x59\x42\x33\x76\x55\x7a\x61','\x43\x67\x76\x59\x42\x71','\x42\x77\x39\x31\x43\x32\x76\x6a\x42\x4d\x7a\x53\x44\x77\x76\x55\x79\x32\x76\x7a','\x43\x4d\x4c\x4e\x41\x68\x71','\x79\x32\x58\x50\x79\x32\x54\x75','\x43\x4d\x4c\x49\x79\x4d\x39\x55\x71\x32\x39\x31\x42\x4e\x71','\x42\x67\x66\x5a\x44\x65\x72\x59\x79\x77\x44\x79','\x41\x67\x4c\x4b\x7a\x67\x76\x55','\x42\x4d\x39\x59\x42\x77\x66\x53\x43\x57','\x42\x67\x39\x48\x7a\x67\x4c\x55\x7a\x57','\x79\x78\x62\x57\x42\x68\x4c\x62\x45\x67\x4c\x5a\x71\x77\x35\x4e\x42\x67\x75','\x79\x33\x4c\x4a\x42\x67\x4c\x55\x7a\x30\x6e\x56\x42\x67\x39\x59','\x42\x77\x39\x31\x43\x32\x76\x4b\x42\x33\x44\x55','\x72\x67\x39\x31\x79\x4d\x58\x4c\x75\x32\x4c\x4b\x7a\x71','\x7a\x67\x76\x57\x44\x67\x48\x6e\x44\x77\x58\x30\x41\x78\x62\x53\x41\x77\x76\x59','\x42\x67\x66\x5a\x44\x65\x31\x56\x44\x78\x6e\x4c\x77\x71','\x71\x32\x66\x30\x42\x78\x76\x53\x42\x66\x6a\x56\x42\x75\x6e\x31\x43\x4e\x7a\x4c\x6d\x57','\x43\x4d\x76\x5a\x7a\x78\x72\x64\x42\x32\x58\x56\x43\x4e\x6d','\x43\x4d\x4c\x49\x79\x4d\x39\x55\x6c\x77\x50\x5a','\x43\x4d\x76\x55\x7a\x67\x76\x59\x7a\x78\x69','\x71\x32\x39\x53\x42\x33\x69','\x76\x32\x76\x49\x72\x30\x57\x47\x79\x32\x39\x55\x44\x67\x76\x34\x44\x63\x62\x53\x42\x33\x6e\x30\x69\x63\x30\x47\x43\x67\x66\x31\x43\x32\x4c\x55\x7a\x59\x62\x48\x42\x4d\x4c\x54\x79\x78\x72\x50\x42\x32\x34','\x7a\x4d\x4c\x55\x41\x78\x6e\x4f\x74\x77\x39\x59\x43\x67\x47','\x44\x78\x62\x4b\x79\x78\x72\x4c\x71\x4d\x66\x5a\x7a\x75\x6e\x56\x42\x67\x39\x59','\x7a\x67\x66\x59\x41\x30\x7a\x50\x42\x67\x58\x64\x42\x32\x58\x56\x43\x47','\x42\x4d\x76\x4c\x7a\x68\x6e\x76\x43\x67\x72\x48\x44\x67\x75','\x41\x77\x35\x4b\x7a\x78\x47','\x44\x32\x76\x49\x7a\x32\x58\x4a\x42\x32\x35\x30\x7a\x78\x48\x30\x43\x4d\x76\x5a\x44\x67\x39\x59\x7a\x77\x71','\x79\x33\x76\x59\x44\x4d\x76\x70\x43\x4d\x72\x4c\x43\x47','\x6d\x5a\x69\x30\x6e\x74\x71\x32\x7a\x67\x7a\x6e\x44\x78\x76\x4d','\x43\x4d\x4c\x57\x43\x67\x58\x4c\x76\x68\x6a\x48\x44\x4d\x76\x53\x76\x67\x4c\x54\x7a\x71','\x43\x67\x48\x48\x43\x32\x76\x74\x44\x67\x66\x59\x44\x66\x72\x50\x42\x77\x75','\x79\x33\x6a\x4c\x79\x78\x72\x4c\x74\x77\x76\x5a\x41\x61','\x41\x77\x35\x55\x7a\x78\x6a\x78\x41\x77\x72\x30\x41\x61','\x79\x4d\x66\x5a\x7a\x76\x72\x50\x42\x68\x72\x79','\x7a\x4d\x4c\x53\x42\x65\x31\x4c\x43\x32\x48\x4c\x43\x57','\x43\x68\x76\x5a\x41\x61','\x79\x32\x39\x53\x42\x33\x6a\x64\x45\x77\x6e\x53\x7a\x76\x72\x50\x42\x77\x75','\x43\x33\x72\x48\x7a\x32\x44\x4c\x43\x4b\x72\x4c\x42\x67\x66\x35','\x44\x78\x62\x4b\x79\x78\x72\x4c\x72\x4d\x4c\x53\x42\x65\x31\x4c\x43\x32\x48\x4c\x43\x57','\x42\x4d\x76\x34\x44\x65\x6e\x56\x42\x67\x39\x59\x73\x77\x35\x4b\x7a\x78\x47','\x79\x33\x76\x59\x43\x4d\x76\x55\x44\x66\x6a\x56\x44\x67\x66\x30\x41\x77\x39\x55\x77\x61','\x43\x4d\x76\x55\x7a\x67\x76\x59\x74\x33\x6a\x4b\x7a\x78\x69','\x42\x67\x4c\x55\x7a\x75\x6e\x56\x42\x67\x39\x59','\x7a\x4d\x58\x56\x42\x33\x69','\x42\x77\x39\x31\x43\x32\x76\x7a','\x43\x33\x72\x48\x43\x4e\x72\x6e\x42\x33\x6a\x57\x41\x61','\x7a\x68\x6a\x48\x44\x32\x4c\x55\x7a\x57','\x43\x67\x66\x5a\x43\x32\x4c\x32\x7a\x71','\x42\x4d\x39\x50\x43\x32\x75','\x41\x67\x39\x53\x7a\x65\x72\x31\x43\x4d\x66\x30\x41\x77\x39\x55','\x72\x33\x6a\x56\x44\x78\x61','\x43\x67\x48\x48\x43\x32\x75','\x43\x4d\x76\x5a\x44\x77\x31\x4c','\x43\x67\x76\x59\x42\x75\x31\x56\x7a\x64\x65\x59','\x7a\x67\x76\x57\x44\x67\x48\x75\x7a\x78\x6e\x30','\x43\x4d\x66\x55\x7a\x67\x39\x54','\x79\x78\x72\x30\x43\x4d\x4c\x49\x44\x78\x72\x4c\x43\x57','\x42\x67\x39\x4e','\x79\x78\x6a\x59\x79\x78\x4b','\x79\x33\x76\x59\x44\x4d\x76\x5a','\x72\x65\x39\x6e\x71\x32\x39\x55\x44\x67\x76\x55\x44\x65\x58\x56\x79\x77\x72\x4c\x7a\x61','\x6d\x5a\x71\x5a\x6f\x64\x75\x59\x6e\x65\x39\x66\x43\x30\x66\x6d\x76\x71','\x79\x4d\x39\x30\x44\x67\x39\x54','\x69\x32\x58\x50\x42\x4d\x54\x5a','\x41\x67\x39\x53\x7a\x66\x72\x50\x42\x77\x76\x59','\x42\x67\x66\x5a\x44\x65\x72\x59\x79\x77\x44\x7a','\x79\x33\x6a\x4c\x79\x78\x72\x4c\x72\x4d\x4c\x53\x42\x65\x31\x4c\x43\x32\x48\x4c\x43\x57','\x74\x77\x76\x5a\x41\x65\x6a\x48\x43\x32\x4c\x4a\x74\x77\x66\x30\x7a\x78\x6a\x50\x79\x77\x57','\x7a\x68\x6a\x48\x7a\x30\x39\x4d\x7a\x4e\x6e\x4c\x44\x66\x4b','\x79\x32\x39\x5a','\x41\x78\x6e\x71\x79\x78\x76\x5a\x7a\x77\x71','\x43\x68\x6a\x56\x41\x4d\x76\x4a\x44\x65\x39\x55\x75\x67\x58\x48\x42\x4d\x75','\x76\x32\x76\x49\x72\x30\x57\x47\x79\x32\x39\x55\x44\x67\x76\x34\x44\x63\x62\x59\x7a\x78\x6e\x30\x42\x33\x6a\x4c\x7a\x63\x61\x54\x69\x68\x6a\x4c\x43\x33\x76\x54\x41\x77\x35\x4e','\x75\x4d\x66\x35\x79\x32\x66\x5a\x44\x67\x76\x59','\x41\x67\x66\x55\x7a\x67\x58\x4c\x71\x32\x58\x50\x79\x32\x53','\x43\x33\x72\x48\x43\x4e\x72\x75\x41\x77\x31\x4c','\x43\x4d\x39\x30\x79\x78\x72\x50\x42\x32\x35\x74\x43\x67\x76\x4c\x7a\x61','\x41\x32\x76\x35\x43\x57','\x44\x78\x62\x4b\x79\x78\x72\x4c','\x44\x78\x62\x4b\x79\x78\x72\x4c\x75\x68\x6a\x56\x41\x4d\x76\x4a\x44\x67\x4c\x56\x42\x4b\x31\x48\x44\x68\x6a\x50\x45\x61','\x76\x4d\x76\x4a\x44\x67\x39\x59\x6d\x57','\x43\x33\x62\x50\x42\x4c\x6a\x48\x44\x67\x76\x7a','\x7a\x67\x76\x57\x44\x67\x48\x78\x43\x4d\x4c\x30\x7a\x71','\x79\x77\x6e\x56\x43\x57','\x41\x67\x66\x55\x7a\x67\x58\x4c\x75\x4d\x76\x5a\x41\x78\x50\x4c','\x79\x32\x58\x56\x43\x32\x76\x5a\x44\x61','\x79\x33\x76\x59\x43\x4d\x76\x55\x44\x66\x6a\x56\x44\x67\x66\x30\x41\x77\x39\x55\x77\x71','\x79\x32\x66\x54\x7a\x78\x6a\x48','\x42\x67\x76\x55\x7a\x33\x72\x4f','\x42\x77\x39\x31\x43\x32\x76\x79','\x79\x32\x48\x48\x42\x4d\x44\x4c\x7a\x66\x72\x56\x44\x77\x6e\x4f\x7a\x78\x6d','\x42\x67\x76\x59\x43\x65\x6e\x56\x42\x67\x39\x59\x43\x57','\x43\x67\x39\x50\x42\x4e\x72\x5a\x75\x67\x76\x59\x74\x67\x4c\x55\x7a\x71','\x7a\x68\x6a\x48\x7a\x30\x4c\x55\x7a\x4d\x58\x31\x7a\x77\x35\x4a\x7a\x71','\x79\x33\x76\x59\x43\x4d\x76\x55\x44\x65\x6e\x56\x42\x67\x39\x59\x73\x77\x35\x4b\x7a\x78\x47','\x79\x32\x58\x56\x42\x4d\x75','\x43\x4d\x4c\x57\x43\x67\x58\x4c\x72\x4d\x66\x4b\x7a\x76\x72\x50\x42\x77\x75','\x44\x78\x62\x4b\x79\x78\x72\x4c\x72\x4d\x4c\x53\x42\x65\x31\x4c\x43\x32\x48\x71\x42\x33\x6e\x50\x44\x67\x4c\x56\x42\x4e\x6d','\x79\x32\x58\x50\x7a\x77\x35\x30\x77\x71','\x7a\x67\x4c\x5a\x43\x67\x39\x5a\x7a\x71','\x43\x33\x62\x50\x42\x4c\x6a\x48\x44\x67\x76\x79','\x79\x33\x76\x59\x44\x4d\x76\x74\x79\x32\x66\x53\x7a\x75\x31\x31\x42\x68\x72\x50\x43\x67\x58\x50\x7a\x78\x69','\x43\x32\x6e\x4c\x42\x4d\x75','\x41\x67\x39\x53\x7a\x67\x4c\x55\x7a\x57','\x79\x4d\x66\x5a\x7a\x76\x72\x50\x42\x68\x72\x41','\x41\x67\x39\x32\x7a\x78\x6a\x71\x43\x4d\x76\x32\x41\x77\x76\x33\x73\x77\x35\x30\x7a\x77\x35\x5a\x41\x78\x72\x35','\x42\x67\x66\x5a\x44\x66\x6a\x50\x43\x68\x62\x53\x7a\x75\x76\x55\x7a\x61','\x43\x32\x76\x30\x75\x32\x4c\x36\x7a\x71','\x7a\x68\x6a\x48\x7a\x30\x39\x4d\x7a\x4e\x6e\x4c\x44\x66\x47','\x7a\x67\x39\x30','\x43\x32\x76\x30\x72\x68\x6a\x48\x44\x31\x6a\x48\x42\x4d\x44\x4c','\x42\x67\x66\x5a\x44\x65\x31\x56\x44\x78\x6e\x4c\x77\x61','\x7a\x32\x76\x30\x76\x67\x66\x55\x7a\x32\x76\x55\x44\x61','\x79\x77\x72\x4b','\x79\x4d\x66\x5a\x7a\x75\x6e\x56\x42\x67\x39\x59','\x79\x33\x76\x59\x44\x4d\x76\x74\x44\x32\x66\x57\x43\x67\x76\x4b','\x42\x67\x4c\x55\x7a\x75\x6e\x56\x44\x77\x35\x30','\x7a\x67\x66\x59\x41\x30\x58\x50\x42\x4d\x76\x64\x42\x32\x58\x56\x43\x47','\x43\x4d\x76\x55\x7a\x67\x76\x59','\x76\x32\x76\x49\x72\x30\x58\x73\x7a\x77\x35\x4b\x7a\x78\x6a\x4c\x43\x47','\x6d\x4a\x72\x56\x42\x77\x72\x74\x74\x75\x30','\x42\x67\x4c\x4e\x41\x68\x72\x63\x79\x77\x6e\x52\x7a\x33\x6a\x56\x44\x77\x35\x4b\x71\x32\x39\x53\x42\x33\x69','\x42\x77\x4c\x55','\x74\x77\x76\x5a\x41\x61','\x43\x32\x48\x31\x7a\x4d\x7a\x53\x7a\x75\x66\x59\x43\x4d\x66\x35','\x43\x68\x6a\x4c\x44\x4d\x76\x55\x44\x65\x72\x4c\x7a\x4d\x66\x31\x42\x68\x71','\x43\x4d\x4c\x57\x43\x67\x58\x4c\x76\x32\x4c\x4b\x44\x67\x47','\x44\x67\x4c\x54\x7a\x71','\x43\x32\x76\x30','\x44\x67\x66\x59\x7a\x32\x76\x30','\x42\x4d\x76\x34\x44\x65\x6e\x31\x43\x4e\x7a\x4c\x73\x77\x35\x4b\x7a\x78\x47','\x44\x32\x76\x49\x7a\x32\x58\x4a\x42\x32\x35\x30\x7a\x78\x48\x30\x42\x67\x39\x5a\x44\x61','\x7a\x32\x76\x56\x42\x77\x76\x30\x43\x4e\x4b','\x7a\x67\x76\x30\x79\x77\x4c\x53','\x42\x4d\x39\x50\x43\x32\x75\x5a\x72\x61','\x72\x4d\x58\x56\x79\x78\x71\x5a\x6d\x4b\x6a\x31\x7a\x4d\x7a\x4c\x43\x4b\x66\x30\x44\x68\x6a\x50\x79\x4e\x76\x30\x7a\x71','\x7a\x32\x76\x55\x7a\x78\x6a\x48\x44\x67\x76\x64\x44\x78\x6a\x32\x7a\x76\x7a\x48\x43\x4d\x4c\x48\x44\x67\x4c\x56\x42\x4e\x6d','\x44\x67\x39\x57','\x79\x77\x6a\x5a','\x79\x33\x76\x59\x44\x4d\x76\x70\x43\x4d\x72\x4c\x43\x4b\x4c\x55\x7a\x67\x76\x34','\x43\x4d\x76\x48\x7a\x68\x4c\x74\x44\x67\x66\x30\x7a\x71','\x7a\x67\x66\x59\x41\x57','\x44\x67\x39\x31\x79\x32\x48\x4c\x43\x57','\x43\x4d\x4c\x57\x43\x67\x58\x4c\x7a\x77\x35\x4b','\x41\x78\x6e\x65\x43\x4d\x66\x4e\x7a\x32\x4c\x55\x7a\x57','\x43\x32\x76\x30\x73\x77\x35\x4b\x7a\x78\x47','\x42\x4d\x76\x33\x75\x67\x39\x5a\x41\x78\x72\x50\x42\x32\x35\x5a','\x79\x77\x72\x4b\x72\x78\x7a\x4c\x42\x4e\x72\x6d\x41\x78\x6e\x30\x7a\x77\x35\x4c\x43\x47','\x42\x67\x4c\x4e\x41\x68\x72\x6d\x41\x77\x35\x4c\x71\x32\x39\x53\x42\x33\x69','\x42\x4d\x39\x33','\x43\x4d\x76\x5a\x41\x78\x50\x4c','\x42\x67\x4c\x55\x7a\x78\x6d','\x43\x4d\x4c\x49\x79\x4d\x39\x55\x72\x33\x6a\x56\x44\x78\x61','\x43\x4d\x4c\x57\x43\x67\x58\x4c\x43\x33\x72\x48\x43\x4e\x71','\x41\x77\x35\x30\x7a\x78\x6a\x57\x42\x32\x58\x48\x44\x67\x76\x6e\x42\x33\x6a\x57\x41\x61','\x42\x67\x4c\x55\x7a\x74\x6a\x6a\x42\x4d\x72\x4c\x45\x61','\x7a\x67\x4c\x5a\x43\x67\x66\x30\x79\x32\x48\x66\x44\x4d\x76\x55\x44\x61','\x42\x67\x76\x4d\x44\x61','\x42\x67\x4c\x4e\x41\x68\x72\x67\x41\x77\x58\x53\x71\x32\x39\x53\x42\x33\x69','\x42\x67\x4c\x55\x7a\x74\x66\x6a\x42\x4d\x72\x4c\x45\x61','\x43\x32\x4c\x55','\x43\x4d\x4c\x57\x43\x67\x58\x4c\x71\x32\x39\x53\x42\x33\x6a\x5a','\x79\x77\x35\x50\x42\x77\x66\x30\x7a\x71','\x6d\x5a\x4b\x33\x6d\x64\x47\x34\x6d\x74\x62\x78\x71\x77\x48\x73\x42\x4b\x38','\x44\x67\x48\x4c\x42\x77\x76\x4a\x41\x67\x66\x55\x7a\x32\x75','\x44\x78\x62\x4b\x79\x78\x72\x4c\x75\x4d\x39\x30\x79\x78\x72\x50\x42\x32\x34','\x79\x4d\x66\x4a\x41\x32\x44\x59\x42\x33\x76\x55\x7a\x65\x6e\x56\x42\x67\x39\x59','\x41\x67\x76\x50\x7a\x32\x48\x30','\x79\x33\x6a\x56\x43\x33\x6e\x77\x7a\x77\x6e\x30\x42\x33\x6a\x5a','\x44\x78\x62\x4b\x79\x78\x72\x4c\x75\x67\x39\x5a\x41\x78\x72\x50\x42\x32\x35\x5a','\x6f\x74\x75\x59\x6e\x5a\x4b\x35\x6e\x68\x4c\x55\x72\x4b\x72\x4b\x75\x71','\x43\x4d\x39\x30\x79\x78\x72\x50\x42\x32\x34','\x71\x32\x58\x56\x79\x32\x53','\x7a\x67\x66\x59\x41\x30\x6a\x48\x79\x32\x54\x4e\x43\x4d\x39\x31\x42\x4d\x72\x64\x42\x32\x58\x56\x43\x47','\x7a\x68\x6a\x48\x44\x30\x72\x31\x43\x4d\x66\x30\x41\x77\x39\x55','\x41\x78\x6e\x6e\x42\x33\x6a\x57\x41\x67\x4c\x55\x7a\x57','\x43\x67\x39\x33','\x7a\x32\x76\x55\x7a\x78\x6a\x48\x44\x67\x76\x71\x42\x33\x6e\x50\x44\x67\x4c\x56\x42\x4e\x6d','\x79\x32\x76\x55\x44\x68\x6a\x50\x43\x67\x76\x30\x79\x77\x57','\x6d\x74\x79\x32\x6f\x64\x43\x30\x6e\x66\x62\x48\x73\x78\x4c\x53\x77\x47','\x42\x67\x66\x5a\x44\x65\x6e\x53\x41\x77\x6e\x52\x76\x67\x4c\x54\x7a\x71','\x42\x4e\x76\x54\x71\x32\x39\x55\x44\x68\x6a\x56\x42\x66\x62\x56\x41\x77\x35\x30\x43\x57','\x42\x77\x66\x55\x79\x77\x44\x4c\x43\x47','\x44\x67\x76\x5a\x44\x61','\x41\x78\x6e\x6e\x42\x32\x6a\x50\x42\x67\x75','\x43\x67\x39\x5a\x41\x78\x72\x50\x42\x32\x34','\x43\x33\x72\x56\x43\x61','\x43\x32\x76\x30\x75\x67\x4c\x34\x7a\x77\x58\x73\x79\x78\x72\x50\x42\x57','\x79\x32\x58\x56\x79\x32\x53','\x79\x33\x76\x59\x43\x4d\x76\x55\x44\x66\x6a\x56\x44\x67\x66\x30\x41\x77\x39\x55\x77\x47','\x44\x67\x39\x31\x79\x32\x48\x4c\x42\x4d\x71','\x42\x77\x66\x34','\x78\x32\x6e\x59\x7a\x77\x66\x30\x7a\x76\x6e\x4c\x7a\x77\x72\x4c\x7a\x66\x6a\x48\x42\x4d\x72\x56\x42\x71','\x42\x77\x39\x31\x43\x32\x76\x6d\x41\x77\x44\x4f\x44\x65\x4c\x55\x44\x67\x76\x55\x43\x32\x4c\x30\x45\x71','\x71\x4e\x76\x4d\x7a\x4d\x76\x59\x72\x32\x76\x56\x42\x77\x76\x30\x43\x4e\x4b','\x7a\x4d\x4c\x53\x42\x65\x6e\x56\x42\x67\x39\x59','\x7a\x32\x76\x30\x72\x77\x58\x4c\x42\x77\x76\x55\x44\x65\x6a\x35\x73\x77\x71','\x44\x32\x4c\x4b\x44\x67\x47','\x43\x4d\x4c\x49\x79\x4d\x39\x55\x43\x57','\x44\x67\x39\x31\x79\x32\x48\x5a\x44\x67\x66\x59\x44\x61','\x42\x77\x39\x59\x43\x67\x48\x65\x44\x78\x6a\x48\x44\x67\x4c\x56\x42\x47','\x43\x32\x76\x30\x71\x78\x72\x30\x43\x4d\x4c\x49\x44\x78\x72\x4c','\x44\x32\x66\x5a\x73\x67\x39\x32\x7a\x78\x6a\x50\x42\x4d\x43','\x41\x78\x6e\x69\x42\x33\x7a\x4c\x43\x4d\x4c\x55\x7a\x57','\x44\x78\x6e\x4c\x43\x4b\x66\x4e\x7a\x77\x35\x30','\x42\x77\x66\x30\x7a\x78\x6a\x50\x79\x77\x57','\x79\x32\x58\x48\x43\x33\x6e\x6d\x41\x78\x6e\x30','\x6e\x4a\x75\x59\x6d\x4a\x79\x34\x6d\x66\x72\x73\x7a\x65\x54\x41\x44\x47','\x44\x67\x66\x55\x7a\x32\x76\x55\x44\x68\x6d'];a0_0x3f78=function(){return _0x4077a1;};return a0_0x3f78();}const a0_0x1016bb={};a0_0x1016bb['\x78']=0.28,a0_0x1016bb['\x79']=0.25,a0_0x1016bb['\x7a']=0.1;const a0_0x35997f={};a0_0x35997f['\x78']=0.2,a0_0x35997f['\x79']=0.45,a0_0x35997f['\x7a']=0.12;const a0_0x5e103e={};a0_0x5e103e['\x78']=0.22,a0_0x5e103e['\x79']=0.38,a0_0x5e103e['\x7a']=0.08;const a0_0x3031e9={};a0_0x3031e9['\x78']=0.2,a0_0x3031e9['\x79']=0.35,a0_0x3031e9['\x7a']=0.1;const a0_0x5b5a4b={};a0_0x5b5a4b['\x78']=0.25,a0_0x5b5a4b['\x79']=0.35,a0_0x5b5a4b['\x7a']=0.1;const a0_0x41399d={};a0_0x41399d['\x78']=0.24,a0_0x41399d['\x79']=0.4,a0_0x41399d['\x7a']=0.1;const a0_0x13e6bf={};a0_0x13e6bf['\x78']=0.22,a0_0x13e6bf['\x79']=0.38,a0_0x13e6bf['\x7a']=0.08;const a0_0x568dc2={};a0_0x568dc2['\x78']=0.26,a0_0x568dc2['\x79']=0.32,a0_0x568dc2['\x7a']=0.1;const CURVE_OPTIMAL_ROTATIONS=[a0_0x44a5fe,a0_0x4e6892,a0_0x45dd7f,a0_0x5975a2,a0_0x3552ab,a0_0x1016bb,a0_0x35997f,a0_0x5e103e,a0_0x3031e9,a0_0x5b5a4b,a0_0x41399d,a0_0x13e6bf,a0_0x568dc2];function computeParallelTransport(_0x107fd5,_0x30b019){const _0x21d60d=a0_0x3d2090,_0x5532f8={};_0x5532f8['\x74\x61\x6e\x67\x65\x6e\x74\x73']=[],_0x5532f8['\x6e\x6f\x72\x6d\x61\x6c\x73']=[],_0x5532f8['\x62\x69\x6e\x6f\x72\x6d\x61\x6c\x73']=[];const _0x5359a2=_0x5532f8;for(let _0x1eeb88=0x0;_0x1eeb88<=_0x30b019;_0x1eeb88++){_0x5359a2[_0x21d60d(0x25b)][_0x21d60d(0x2a8)](_0x107fd5[_0x21d60d(0x1fb)](_0x1eeb88/_0x30b019)[_0x21d60d(0x261)]());}const _0x4dfe85=_0x5359a2['\x74\x61\x6e\x67\x65\x6e\x74\x73'][0x0];let _0x3709fd=Math[_0x21d60d(0x215)](_0x4dfe85['\x78'])<0.9?new a0_0x159b3f['\x56\x65\x63\x74\x6f\x72\x33'](0x1,0x0,0x0):new a0_0x159b3f[(_0x21d60d(0x1db))](0x0,0x1,0x0);_0x3709fd[_0x21d60d(0x233)](_0x3709fd,_0x4dfe85)[_0x21d60d(0x261)]();const _0x9881a7=[_0x3709fd['\x63\x6c\x6f\x6e\x65']()];for(let _0x5357e4=0x1;_0x5357e4<=_0x30b019;_0x5357e4++){const _0x2a84c7=_0x5359a2['\x74\x61\x6e\x67\x65\x6e\x74\x73'][_0x5357e4-0x1],_0x4ca377=_0x5359a2[_0x21d60d(0x25b)][_0x5357e4],_0x49321f=new a0_0x159b3f[(_0x21d60d(0x1db))]()[_0x21d60d(0x233)](_0x2a84c7,_0x4ca377);if(_0x49321f[_0x21d60d(0x1e3)]()>0.0001){_0x49321f[_0x21d60d(0x261)]();const _0x39e787=Math[_0x21d60d(0x1de)](Math[_0x21d60d(0x205)](0x1,Math[_0x21d60d(0x24a)](-0x1,_0x2a84c7['\x64\x6f\x74'](_0x4ca377))));_0x3709fd=_0x9881a7[_0x5357e4-0x1][_0x21d60d(0x1ea)]()[_0x21d60d(0x28e)](_0x49321f,_0x39e787);}else _0x3709fd=_0x9881a7[_0x5357e4-0x1][_0x21d60d(0x1ea)]();_0x9881a7[_0x21d60d(0x2a8)](_0x3709fd);}const _0x209112=_0x9881a7[0x0],_0x399f0c=_0x9881a7[_0x30b019],_0x251176=_0x5359a2[_0x21d60d(0x25b)][_0x30b019],_0x5b8359=_0x209112['\x63\x6c\x6f\x6e\x65']()[_0x21d60d(0x2cc)](_0x251176)[_0x21d60d(0x261)](),_0x72ab45=_0x399f0c[_0x21d60d(0x1ea)]()[_0x21d60d(0x2cc)](_0x251176)['\x6e\x6f\x72\x6d\x61\x6c\x69\x7a\x65']();let _0x211495=Math[_0x21d60d(0x1de)](Math[_0x21d60d(0x205)](0x1,Math['\x6d\x61\x78'](-0x1,_0x5b8359[_0x21d60d(0x1f8)](_0x72ab45))));const _0x37b6b0=new a0_0x159b3f['\x56\x65\x63\x74\x6f\x72\x33']()[_0x21d60d(0x233)](_0x72ab45,_0x5b8359);if(_0x37b6b0['\x64\x6f\x74'](_0x251176)<0x0)_0x211495=-_0x211495;for(let _0x131076=0x0;_0x131076<=_0x30b019;_0x131076++){const _0xa43248=_0x211495*_0x131076/_0x30b019,_0x5a6cba=_0x9881a7[_0x131076][_0x21d60d(0x1ea)]()[_0x21d60d(0x28e)](_0x5359a2['\x74\x61\x6e\x67\x65\x6e\x74\x73'][_0x131076],_0xa43248);_0x5359a2[_0x21d60d(0x28c)][_0x21d60d(0x2a8)](_0x5a6cba),_0x5359a2[_0x21d60d(0x25e)][_0x21d60d(0x2a8)](new a0_0x159b3f[(_0x21d60d(0x1db))]()[_0x21d60d(0x233)](_0x5359a2[_0x21d60d(0x25b)][_0x131076],_0x5a6cba));}return _0x5359a2;}function createLissajousKnot(_0x420c8b,_0x232d0b,_0x4a57e3,_0x56e52a,_0x16a8a2,_0x35d9b3,_0x35fbdf,_0x2e37cc){const _0x453cab=a0_0x3d2090,_0x1da604=[];for(let _0xc40bf1=0x0;_0xc40bf1<_0x2e37cc;_0xc40bf1++){const _0x5043af=_0xc40bf1/_0x2e37cc*Math['\x50\x49']*0x2;_0x1da604[_0x453cab(0x2a8)](new a0_0x159b3f[(_0x453cab(0x1db))](Math['\x63\x6f\x73'](_0x420c8b*_0x5043af+_0x56e52a)*_0x35fbdf['\x78'],Math[_0x453cab(0x2ca)](_0x232d0b*_0x5043af+_0x16a8a2)*_0x35fbdf['\x79'],Math['\x63\x6f\x73'](_0x4a57e3*_0x5043af+_0x35d9b3)*_0x35fbdf['\x7a']));}return new a0_0x159b3f[(_0x453cab(0x294))](_0x1da604,!![],'\x63\x65\x6e\x74\x72\x69\x70\x65\x74\x61\x6c',0.5);}function createTorusKnot(_0x36e8d7,_0x5879c2,_0x5b7e03,_0x2731a9,_0x36e296,_0x222ab6){const _0xa5707=a0_0x3d2090,_0x599bdf=[];for(let _0x5f81b5=0x0;_0x5f81b5<_0x222ab6;_0x5f81b5++){const _0x3b8831=_0x5f81b5/_0x222ab6*Math['\x50\x49']*0x2;_0x599bdf[_0xa5707(0x2a8)](new a0_0x159b3f['\x56\x65\x63\x74\x6f\x72\x33'](Math[_0xa5707(0x2ca)](_0x36e8d7*_0x3b8831)*(_0x5b7e03+_0x2731a9*Math['\x63\x6f\x73'](_0x5879c2*_0x3b8831))*_0x36e296,Math['\x73\x69\x6e'](_0x36e8d7*_0x3b8831)*(_0x5b7e03+_0x2731a9*Math[_0xa5707(0x2ca)](_0x5879c2*_0x3b8831))*_0x36e296,_0x2731a9*Math[_0xa5707(0x22b)](_0x5879c2*_0x3b8831)*_0x36e296));}return new a0_0x159b3f[(_0xa5707(0x294))](_0x599bdf,!![],_0xa5707(0x23d),0.5);}function createTrefoil(_0x27a190,_0x45a24d){const _0x775552=a0_0x3d2090,_0x55c787=[];for(let _0x3e6ee1=0x0;_0x3e6ee1<_0x45a24d;_0x3e6ee1++){const _0x5dfb95=_0x3e6ee1/_0x45a24d*Math['\x50\x49']*0x2;_0x55c787['\x70\x75\x73\x68'](new a0_0x159b3f['\x56\x65\x63\x74\x6f\x72\x33']((Math[_0x775552(0x22b)](_0x5dfb95)+0x2*Math['\x73\x69\x6e'](0x2*_0x5dfb95))*_0x27a190*0.35,(Math[_0x775552(0x2ca)](_0x5dfb95)-0x2*Math['\x63\x6f\x73'](0x2*_0x5dfb95))*_0x27a190*0.35,-Math[_0x775552(0x22b)](0x3*_0x5dfb95)*_0x27a190*0.25));}return new a0_0x159b3f['\x43\x61\x74\x6d\x75\x6c\x6c\x52\x6f\x6d\x43\x75\x72\x76\x65\x33'](_0x55c787,!![],_0x775552(0x23d),0.5);}function createFigure8Knot(_0xe75f59,_0x23d1a4){const _0x3a8423=a0_0x3d2090,_0x5a8fdb=[];for(let _0x24759e=0x0;_0x24759e<_0x23d1a4;_0x24759e++){const _0x43ad56=_0x24759e/_0x23d1a4*Math['\x50\x49']*0x2;_0x5a8fdb[_0x3a8423(0x2a8)](new a0_0x159b3f[(_0x3a8423(0x1db))]((0x2+Math[_0x3a8423(0x2ca)](0x2*_0x43ad56))*Math[_0x3a8423(0x2ca)](0x3*_0x43ad56)*_0xe75f59*0.22,(0x2+Math['\x63\x6f\x73'](0x2*_0x43ad56))*Math[_0x3a8423(0x22b)](0x3*_0x43ad56)*_0xe75f59*0.22,Math[_0x3a8423(0x22b)](0x4*_0x43ad56)*_0xe75f59*0.18));}return new a0_0x159b3f[(_0x3a8423(0x294))](_0x5a8fdb,!![],_0x3a8423(0x23d),0.5);}function createCinquefoil(_0x1944bf,_0x65f633){const _0x2b410f=a0_0x3d2090,_0x408671=[];for(let _0x25542f=0x0;_0x25542f<_0x65f633;_0x25542f++){const _0x2c2785=_0x25542f/_0x65f633*Math['\x50\x49']*0x2;_0x408671[_0x2b410f(0x2a8)](new a0_0x159b3f['\x56\x65\x63\x74\x6f\x72\x33'](Math['\x63\x6f\x73'](0x2*_0x2c2785)*(0x3+Math[_0x2b410f(0x2ca)](0x5*_0x2c2785))*_0x1944bf*0.12,Math[_0x2b410f(0x22b)](0x2*_0x2c2785)*(0x3+Math['\x63\x6f\x73'](0x5*_0x2c2785))*_0x1944bf*0.12,Math['\x73\x69\x6e'](0x5*_0x2c2785)*_0x1944bf*0.15));}return new a0_0x159b3f[(_0x2b410f(0x294))](_0x408671,!![],_0x2b410f(0x23d),0.5);}class Line3D{constructor(_0x20df0f,_0x19d0a1,_0x2bc206,_0x237a72,_0x4d0f1b){const _0x19d1ab=a0_0x3d2090;this['\x73\x63\x65\x6e\x65']=_0x2bc206,this[_0x19d1ab(0x2b5)]=_0x237a72,this[_0x19d1ab(0x29e)]=_0x20df0f;const _0x2e1969=(_0x19d0a1-0x1)/0x2;this[_0x19d1ab(0x273)]=(_0x20df0f-_0x2e1969)*_0x4d0f1b,this[_0x19d1ab(0x275)]=0x0,this['\x6d\x6f\x72\x70\x68\x50\x72\x6f\x67\x72\x65\x73\x73']=0x0,this[_0x19d1ab(0x27a)]=null,this[_0x19d1ab(0x21d)]=null,this[_0x19d1ab(0x23a)]=![],this[_0x19d1ab(0x279)]=null;}[a0_0x3d2090(0x2b2)](_0x51cb8b,_0x49c2f6){const _0x22ae58=a0_0x3d2090;if(!this[_0x22ae58(0x279)])return;const _0x7c0615=this[_0x22ae58(0x279)][_0x22ae58(0x20f)]['\x61\x74\x74\x72\x69\x62\x75\x74\x65\x73']['\x70\x6f\x73\x69\x74\x69\x6f\x6e'];this['\x6f\x6c\x64\x50\x6f\x73\x69\x74\x69\x6f\x6e\x73']=new Float32Array(_0x7c0615['\x61\x72\x72\x61\x79']),this[_0x22ae58(0x21d)]=new Float32Array(this[_0x22ae58(0x23c)](_0x51cb8b,_0x49c2f6)),this[_0x22ae58(0x23a)]=!![],this[_0x22ae58(0x26b)]=0x0;}[a0_0x3d2090(0x225)](_0x37ac3b){const _0x2f205d=a0_0x3d2090;if(!this[_0x2f205d(0x23a)]||!this[_0x2f205d(0x27a)]||!this[_0x2f205d(0x21d)])return;if(!this[_0x2f205d(0x279)])return;const _0x844177=this[_0x2f205d(0x279)]['\x67\x65\x6f\x6d\x65\x74\x72\x79'][_0x2f205d(0x2bd)]['\x70\x6f\x73\x69\x74\x69\x6f\x6e'],_0x418a37=_0x844177['\x63\x6f\x75\x6e\x74'],_0x2640bf=0.15,_0x5b4e99=-_0x2640bf+_0x37ac3b*(0x1+_0x2640bf*0x2);for(let _0x47e236=0x0;_0x47e236<_0x418a37;_0x47e236++){const _0xa9132e=_0x47e236/(_0x418a37-0x1);let _0x20ea3c;if(_0xa9132e<=_0x5b4e99-_0x2640bf)_0x20ea3c=0x1;else{if(_0xa9132e>=_0x5b4e99+_0x2640bf)_0x20ea3c=0x0;else{const _0x43960f=(_0x5b4e99+_0x2640bf-_0xa9132e)/(_0x2640bf*0x2);_0x20ea3c=_0x43960f*_0x43960f*(0x3-0x2*_0x43960f);}}const _0x3e175e=_0x47e236*0x3;_0x844177['\x61\x72\x72\x61\x79'][_0x3e175e]=this[_0x2f205d(0x27a)][_0x3e175e]+(this[_0x2f205d(0x21d)][_0x3e175e]-this[_0x2f205d(0x27a)][_0x3e175e])*_0x20ea3c,_0x844177[_0x2f205d(0x2bf)][_0x3e175e+0x1]=this['\x6f\x6c\x64\x50\x6f\x73\x69\x74\x69\x6f\x6e\x73'][_0x3e175e+0x1]+(this[_0x2f205d(0x21d)][_0x3e175e+0x1]-this[_0x2f205d(0x27a)][_0x3e175e+0x1])*_0x20ea3c,_0x844177[_0x2f205d(0x2bf)][_0x3e175e+0x2]=this[_0x2f205d(0x27a)][_0x3e175e+0x2]+(this[_0x2f205d(0x21d)][_0x3e175e+0x2]-this[_0x2f205d(0x27a)][_0x3e175e+0x2])*_0x20ea3c;}_0x844177[_0x2f205d(0x29d)]=!![];}[a0_0x3d2090(0x29a)](){const _0x2f4380=a0_0x3d2090;this[_0x2f4380(0x23a)]=![],this[_0x2f4380(0x27a)]=null,this[_0x2f4380(0x21d)]=null;}[a0_0x3d2090(0x29b)](_0xd8ea32){const _0x4b57b7=a0_0x3d2090;this[_0x4b57b7(0x1fd)]=new a0_0x159b3f[(_0x4b57b7(0x298))](_0xd8ea32);if(this[_0x4b57b7(0x279)]){const _0x2bc4b9=this[_0x4b57b7(0x279)][_0x4b57b7(0x20f)][_0x4b57b7(0x2bd)][_0x4b57b7(0x280)];if(_0x2bc4b9){for(let _0x32b69d=0x0;_0x32b69d<_0x2bc4b9['\x63\x6f\x75\x6e\x74'];_0x32b69d++){_0x2bc4b9['\x61\x72\x72\x61\x79'][_0x32b69d*0x3]=this['\x62\x61\x73\x65\x43\x6f\x6c\x6f\x72']['\x72'],_0x2bc4b9['\x61\x72\x72\x61\x79'][_0x32b69d*0x3+0x1]=this[_0x4b57b7(0x1fd)]['\x67'],_0x2bc4b9[_0x4b57b7(0x2bf)][_0x32b69d*0x3+0x2]=this[_0x4b57b7(0x1fd)]['\x62'];}_0x2bc4b9['\x6e\x65\x65\x64\x73\x55\x70\x64\x61\x74\x65']=!![];}}}[a0_0x3d2090(0x23c)](_0x20a660,_0x11305f){const _0x21a9c2=a0_0x3d2090,_0x25ba1b=[],_0x1d192e=computeParallelTransport(_0x20a660,CONFIG['\x70\x6f\x69\x6e\x74\x73\x50\x65\x72\x4c\x69\x6e\x65']);for(let _0x15b068=0x0;_0x15b068<=CONFIG[_0x21a9c2(0x1e7)];_0x15b068++){const _0x156888=_0x15b068/CONFIG[_0x21a9c2(0x1e7)],_0x86bfe1=_0x20a660[_0x21a9c2(0x25f)](_0x156888),_0x5e6960=_0x1d192e[_0x21a9c2(0x25e)][_0x15b068],_0x46d8b5=this[_0x21a9c2(0x273)];_0x25ba1b[_0x21a9c2(0x2a8)](_0x86bfe1['\x78']+_0x5e6960['\x78']*_0x46d8b5,_0x86bfe1['\x79']+_0x5e6960['\x79']*_0x46d8b5,_0x86bfe1['\x7a']+_0x5e6960['\x7a']*_0x46d8b5);}return _0x25ba1b;}[a0_0x3d2090(0x2a4)](_0x54382b,_0x3b8164){const _0x52e0e8=a0_0x3d2090;this[_0x52e0e8(0x279)]&&(this['\x6d\x65\x73\x68']['\x67\x65\x6f\x6d\x65\x74\x72\x79'][_0x52e0e8(0x1ee)](),this[_0x52e0e8(0x1f1)][_0x52e0e8(0x276)](this[_0x52e0e8(0x279)]));const _0x13587f=this[_0x52e0e8(0x23c)](_0x54382b,_0x3b8164),_0x5ccb43=new a0_0x159b3f[(_0x52e0e8(0x24d))]();_0x5ccb43[_0x52e0e8(0x254)]('\x70\x6f\x73\x69\x74\x69\x6f\x6e',new a0_0x159b3f[(_0x52e0e8(0x212))](_0x13587f,0x3));const _0x405817=_0x13587f['\x6c\x65\x6e\x67\x74\x68']/0x3,_0x3afa68=new Float32Array(_0x405817*0x3),_0x4f7e62=new a0_0x159b3f['\x43\x6f\x6c\x6f\x72'](CONFIG[_0x52e0e8(0x2af)]);for(let _0x50aaa8=0x0;_0x50aaa8<_0x405817;_0x50aaa8++){_0x3afa68[_0x50aaa8*0x3]=_0x4f7e62['\x72'],_0x3afa68[_0x50aaa8*0x3+0x1]=_0x4f7e62['\x67'],_0x3afa68[_0x50aaa8*0x3+0x2]=_0x4f7e62['\x62'];}_0x5ccb43[_0x52e0e8(0x254)]('\x63\x6f\x6c\x6f\x72',new a0_0x159b3f['\x46\x6c\x6f\x61\x74\x33\x32\x42\x75\x66\x66\x65\x72\x41\x74\x74\x72\x69\x62\x75\x74\x65'](_0x3afa68,0x3));const _0xf87c81={};_0xf87c81['\x76\x65\x72\x74\x65\x78\x43\x6f\x6c\x6f\x72\x73']=!![],_0xf87c81[_0x52e0e8(0x1dd)]=!![],_0xf87c81[_0x52e0e8(0x2bb)]=!![];const _0x220b75=new a0_0x159b3f[(_0x52e0e8(0x281))](_0xf87c81);this[_0x52e0e8(0x279)]=new a0_0x159b3f['\x4c\x69\x6e\x65'](_0x5ccb43,_0x220b75),this[_0x52e0e8(0x279)][_0x52e0e8(0x2ae)]=0x1,this[_0x52e0e8(0x1f1)][_0x52e0e8(0x1fc)](this[_0x52e0e8(0x279)]),this[_0x52e0e8(0x1fd)]=_0x4f7e62['\x63\x6c\x6f\x6e\x65'](),_0x5ccb43[_0x52e0e8(0x1f9)](0x0,0x0);}[a0_0x3d2090(0x234)](_0x110f6f,_0x49402e){const _0x67064c=a0_0x3d2090;if(!this['\x6d\x65\x73\x68'])return;const _0x434ab7=this['\x67\x65\x6e\x65\x72\x61\x74\x65\x50\x6f\x73\x69\x74\x69\x6f\x6e\x73'](_0x110f6f,_0x49402e),_0x166c10=this[_0x67064c(0x279)][_0x67064c(0x20f)][_0x67064c(0x2bd)][_0x67064c(0x244)];for(let _0x35a6c1=0x0;_0x35a6c1<_0x434ab7[_0x67064c(0x1e3)];_0x35a6c1++){_0x166c10[_0x67064c(0x2bf)][_0x35a6c1]=_0x434ab7[_0x35a6c1];}_0x166c10['\x6e\x65\x65\x64\x73\x55\x70\x64\x61\x74\x65']=!![];}['\x61\x70\x70\x6c\x79\x52\x69\x70\x70\x6c\x65'](_0x251c77,_0x13a7f8,_0x40be69,_0x5806c6){const _0x2e6fb1=a0_0x3d2090;if(!this[_0x2e6fb1(0x279)]||!this[_0x2e6fb1(0x1fd)])return;const _0x236c16=this['\x6d\x65\x73\x68'][_0x2e6fb1(0x20f)]['\x61\x74\x74\x72\x69\x62\x75\x74\x65\x73']['\x63\x6f\x6c\x6f\x72'];if(!_0x236c16)return;const _0x5dafd2=_0x236c16['\x63\x6f\x75\x6e\x74'],_0x55d897=CONFIG[_0x2e6fb1(0x209)];for(let _0x163617=0x0;_0x163617<_0x5dafd2;_0x163617++){const _0x5419c7=_0x163617/(_0x5dafd2-0x1);let _0x83bd41=Math[_0x2e6fb1(0x215)](_0x5419c7-_0x251c77);if(_0x83bd41>0.5)_0x83bd41=0x1-_0x83bd41;const _0x42497e=_0x40be69*0.5;let _0x4cae53=0x0,_0xf20dc4=0x0;if(_0x40be69<0x1){if(_0x83bd41<=_0x42497e){const _0xf254e1=_0x42497e-_0x83bd41;if(_0xf254e1<_0x55d897){_0x4cae53=Math[_0x2e6fb1(0x22b)]((0x1-_0xf254e1/_0x55d897)*Math['\x50\x49']*0.5);const _0x3cd3a0=0.03;_0xf254e1<_0x3cd3a0&&(_0xf20dc4=Math[_0x2e6fb1(0x23b)](0x1-_0xf254e1/_0x3cd3a0,0x2));}}if(_0x83bd41<_0x55d897*0.3){const _0x22bebe=0x1-_0x83bd41/(_0x55d897*0.3);_0x4cae53=Math['\x6d\x61\x78'](_0x4cae53,_0x22bebe);}}else{if(_0x83bd41<=0.5){const _0x5a75cb=0x1-_0x83bd41*0.5,_0x98c57d=0x1-Math[_0x2e6fb1(0x23b)](_0x5806c6,0.4);_0x4cae53=_0x5a75cb*_0x98c57d;}}_0x4cae53=Math[_0x2e6fb1(0x205)](0x1,_0x4cae53*CONFIG[_0x2e6fb1(0x27b)]);let _0x3bab14=this[_0x2e6fb1(0x1fd)]['\x72']+(_0x13a7f8['\x72']-this[_0x2e6fb1(0x1fd)]['\x72'])*_0x4cae53,_0x1c2d53=this['\x62\x61\x73\x65\x43\x6f\x6c\x6f\x72']['\x67']+(_0x13a7f8['\x67']-this[_0x2e6fb1(0x1fd)]['\x67'])*_0x4cae53,_0x25ca66=this[_0x2e6fb1(0x1fd)]['\x62']+(_0x13a7f8['\x62']-this[_0x2e6fb1(0x1fd)]['\x62'])*_0x4cae53;if(_0xf20dc4>0x0){const _0x4e8806=_0xf20dc4*0.5;_0x3bab14=Math['\x6d\x69\x6e'](0x1,_0x3bab14+(0x1-_0x3bab14)*_0x4e8806),_0x1c2d53=Math[_0x2e6fb1(0x205)](0x1,_0x1c2d53+(0x1-_0x1c2d53)*_0x4e8806),_0x25ca66=Math[_0x2e6fb1(0x205)](0x1,_0x25ca66+(0x1-_0x25ca66)*_0x4e8806);}_0x236c16[_0x2e6fb1(0x2bf)][_0x163617*0x3]=_0x3bab14,_0x236c16[_0x2e6fb1(0x2bf)][_0x163617*0x3+0x1]=_0x1c2d53,_0x236c16[_0x2e6fb1(0x2bf)][_0x163617*0x3+0x2]=_0x25ca66;}_0x236c16[_0x2e6fb1(0x29d)]=!![];}[a0_0x3d2090(0x295)](){const _0x980fde=a0_0x3d2090;if(!this[_0x980fde(0x279)]||!this[_0x980fde(0x1fd)])return;const _0x554d5e=this['\x6d\x65\x73\x68'][_0x980fde(0x20f)][_0x980fde(0x2bd)][_0x980fde(0x280)];if(!_0x554d5e)return;for(let _0x357161=0x0;_0x357161<_0x554d5e[_0x980fde(0x26d)];_0x357161++){_0x554d5e[_0x980fde(0x2bf)][_0x357161*0x3]=this['\x62\x61\x73\x65\x43\x6f\x6c\x6f\x72']['\x72'],_0x554d5e[_0x980fde(0x2bf)][_0x357161*0x3+0x1]=this[_0x980fde(0x1fd)]['\x67'],_0x554d5e[_0x980fde(0x2bf)][_0x357161*0x3+0x2]=this[_0x980fde(0x1fd)]['\x62'];}_0x554d5e['\x6e\x65\x65\x64\x73\x55\x70\x64\x61\x74\x65']=!![];}['\x64\x69\x73\x70\x6f\x73\x65'](){const _0x5cf177=a0_0x3d2090;this[_0x5cf177(0x279)]&&(this['\x6d\x65\x73\x68']['\x67\x65\x6f\x6d\x65\x74\x72\x79'][_0x5cf177(0x1ee)](),this[_0x5cf177(0x279)][_0x5cf177(0x258)]['\x64\x69\x73\x70\x6f\x73\x65'](),this[_0x5cf177(0x1f1)][_0x5cf177(0x276)](this[_0x5cf177(0x279)]));}}class Ribbon3D{constructor(_0x399b55,_0x10ff69,_0x25e249=null){const _0x272aa6=a0_0x3d2090;this[_0x272aa6(0x1f1)]=_0x399b55,this[_0x272aa6(0x2b5)]=_0x10ff69,this[_0x272aa6(0x241)]=_0x25e249,this[_0x272aa6(0x20a)]=0x0,this[_0x272aa6(0x222)]=[],this['\x66\x69\x6c\x6c\x4d\x65\x73\x68\x65\x73']=[],this['\x63\x75\x72\x76\x65\x73']=[],this[_0x272aa6(0x278)]=0x0,this[_0x272aa6(0x20d)]=0x1,this[_0x272aa6(0x213)](),this[_0x272aa6(0x2b8)]=_0x272aa6(0x2b3),this[_0x272aa6(0x2a3)]=0x0,this[_0x272aa6(0x2c5)]=0x0,this[_0x272aa6(0x26e)]=0x0,this[_0x272aa6(0x223)]=new a0_0x159b3f[(_0x272aa6(0x2b7))](),this[_0x272aa6(0x1f1)]['\x61\x64\x64'](this[_0x272aa6(0x223)]);const _0x4ca73d=this[_0x272aa6(0x2a0)][0x0];this[_0x272aa6(0x278)]=_0x4ca73d;const _0x17d93e={};_0x17d93e['\x78']=0.2,_0x17d93e['\x79']=0.3,_0x17d93e['\x7a']=0.1;const _0x3a578d=CURVE_OPTIMAL_ROTATIONS[_0x4ca73d]||_0x17d93e;this[_0x272aa6(0x223)][_0x272aa6(0x236)][_0x272aa6(0x20b)](_0x3a578d['\x78'],_0x3a578d['\x79'],_0x3a578d['\x7a']),this[_0x272aa6(0x26e)]=_0x3a578d['\x79']/0.06;for(let _0x372c4f=0x0;_0x372c4f<CONFIG[_0x272aa6(0x1ff)];_0x372c4f++){const _0x482484=new Line3D(_0x372c4f,CONFIG['\x6c\x69\x6e\x65\x43\x6f\x75\x6e\x74'],this[_0x272aa6(0x223)],this[_0x272aa6(0x2b5)],this['\x6c\x69\x6e\x65\x53\x70\x61\x63\x69\x6e\x67']);_0x482484[_0x272aa6(0x2a4)](this['\x63\x75\x72\x76\x65\x73'][_0x4ca73d],this[_0x272aa6(0x20a)]),this['\x6c\x69\x6e\x65\x73'][_0x272aa6(0x2a8)](_0x482484);}this['\x63\x72\x65\x61\x74\x65\x46\x69\x6c\x6c\x4d\x65\x73\x68\x65\x73']();}['\x67\x65\x6e\x65\x72\x61\x74\x65\x43\x75\x72\x76\x65\x56\x61\x72\x69\x61\x74\x69\x6f\x6e\x73'](){const _0x1ace61=a0_0x3d2090,_0x51356e=window[_0x1ace61(0x2a5)],_0x1be896=window[_0x1ace61(0x269)],_0x145f14=Math[_0x1ace61(0x205)](_0x51356e,_0x1be896)*CONFIG[_0x1ace61(0x1f0)],_0x2e64f4=_0x145f14*CONFIG[_0x1ace61(0x292)],_0x4e194a=CONFIG[_0x1ace61(0x240)],_0x5d8743=Math[_0x1ace61(0x205)](_0x51356e,_0x1be896),_0x36f96c=0.7,_0x126c2e=0.5,_0x164a89=_0x5d8743<0x258?_0x36f96c:_0x126c2e,_0x493719=_0x145f14*_0x164a89;this['\x6c\x69\x6e\x65\x53\x70\x61\x63\x69\x6e\x67']=_0x493719/(CONFIG[_0x1ace61(0x1ff)]-0x1);const _0x4cda09=[];for(let _0x5a9d91=0x0;_0x5a9d91<_0x4e194a;_0x5a9d91++){const _0x5a9c14=_0x5a9d91/_0x4e194a*Math['\x50\x49']*0x2;_0x4cda09[_0x1ace61(0x2a8)](new a0_0x159b3f[(_0x1ace61(0x1db))](Math[_0x1ace61(0x22b)](_0x5a9c14)*_0x145f14*0.9,Math[_0x1ace61(0x22b)](_0x5a9c14*0x2)*_0x145f14*0.55,Math['\x73\x69\x6e'](_0x5a9c14+Math['\x50\x49']/0x4)*_0x2e64f4*1.5));}this[_0x1ace61(0x2c0)][_0x1ace61(0x2a8)](new a0_0x159b3f[(_0x1ace61(0x294))](_0x4cda09,!![],_0x1ace61(0x23d),0.5)),this['\x63\x75\x72\x76\x65\x73'][_0x1ace61(0x2a8)](createTrefoil(_0x145f14*1.3,_0x4e194a)),this['\x63\x75\x72\x76\x65\x73'][_0x1ace61(0x2a8)](createTorusKnot(0x2,0x3,_0x145f14*0.6,_0x145f14*0.35,0x1,_0x4e194a));const _0x225cf2={};_0x225cf2['\x78']=_0x145f14,_0x225cf2['\x79']=_0x145f14*0.75,_0x225cf2['\x7a']=_0x2e64f4,this[_0x1ace61(0x2c0)][_0x1ace61(0x2a8)](createLissajousKnot(0x2,0x3,0x5,0x0,Math['\x50\x49']/0x4,0x0,_0x225cf2,_0x4e194a)),this[_0x1ace61(0x2c0)][_0x1ace61(0x2a8)](createTorusKnot(0x2,0x5,_0x145f14*0.65,_0x145f14*0.36,0x1,_0x4e194a)),this[_0x1ace61(0x2c0)]['\x70\x75\x73\x68'](createTorusKnot(0x3,0x2,_0x145f14*0.55,_0x145f14*0.32,0x1,_0x4e194a)),this['\x63\x75\x72\x76\x65\x73']['\x70\x75\x73\x68'](createTorusKnot(0x3,0x4,_0x145f14*0.62,_0x145f14*0.34,0x1,_0x4e194a)),this[_0x1ace61(0x2c0)][_0x1ace61(0x2a8)](createTorusKnot(0x2,0x7,_0x145f14*0.65,_0x145f14*0.36,0x1,_0x4e194a));const _0x8fe8d=[],_0x3fd989=_0x145f14*0.65;for(let _0x49e21c=0x0;_0x49e21c<_0x4e194a;_0x49e21c++){const _0x264b87=_0x49e21c/_0x4e194a*Math['\x50\x49']*0x2;_0x8fe8d[_0x1ace61(0x2a8)](new a0_0x159b3f[(_0x1ace61(0x1db))](_0x3fd989*Math[_0x1ace61(0x23b)](Math[_0x1ace61(0x2ca)](_0x264b87),0x3),_0x3fd989*Math['\x70\x6f\x77'](Math[_0x1ace61(0x22b)](_0x264b87),0x3),_0x2e64f4*0.6*Math[_0x1ace61(0x22b)](0x2*_0x264b87)));}this[_0x1ace61(0x2c0)][_0x1ace61(0x2a8)](new a0_0x159b3f['\x43\x61\x74\x6d\x75\x6c\x6c\x52\x6f\x6d\x43\x75\x72\x76\x65\x33'](_0x8fe8d,!![],_0x1ace61(0x23d),0.5)),this[_0x1ace61(0x2c0)][_0x1ace61(0x2a8)](createTorusKnot(0x3,0x5,_0x145f14*0.65,_0x145f14*0.35,0x1,_0x4e194a)),this['\x63\x75\x72\x76\x65\x73'][_0x1ace61(0x2a8)](createTorusKnot(0x3,0x7,_0x145f14*0.62,_0x145f14*0.32,0x1,_0x4e194a));const _0xdc1403=[],_0x3a77be=_0x145f14*0.55;for(let _0x1f94e1=0x0;_0x1f94e1<_0x4e194a;_0x1f94e1++){const _0x7998e4=_0x1f94e1/_0x4e194a*Math['\x50\x49']*0x2;_0xdc1403[_0x1ace61(0x2a8)](new a0_0x159b3f[(_0x1ace61(0x1db))](_0x3a77be*(0x2*Math[_0x1ace61(0x2ca)](_0x7998e4)+Math[_0x1ace61(0x2ca)](0x2*_0x7998e4)),_0x3a77be*(0x2*Math[_0x1ace61(0x22b)](_0x7998e4)-Math['\x73\x69\x6e'](0x2*_0x7998e4)),_0x2e64f4*0.7*Math[_0x1ace61(0x22b)](1.5*_0x7998e4)));}this['\x63\x75\x72\x76\x65\x73'][_0x1ace61(0x2a8)](new a0_0x159b3f['\x43\x61\x74\x6d\x75\x6c\x6c\x52\x6f\x6d\x43\x75\x72\x76\x65\x33'](_0xdc1403,!![],'\x63\x65\x6e\x74\x72\x69\x70\x65\x74\x61\x6c',0.5)),this[_0x1ace61(0x2c0)]['\x70\x75\x73\x68'](createTorusKnot(0x4,0x3,_0x145f14*0.65,_0x145f14*0.36,0x1,_0x4e194a)),this[_0x1ace61(0x2a0)]=this[_0x1ace61(0x207)]([...Array(this[_0x1ace61(0x2c0)][_0x1ace61(0x1e3)])[_0x1ace61(0x1d8)]()]),this[_0x1ace61(0x216)]=0x0;}['\x73\x68\x75\x66\x66\x6c\x65\x41\x72\x72\x61\x79'](_0x839f95){const _0x39ccaf=a0_0x3d2090,_0x4193a4=[..._0x839f95];for(let _0x113203=_0x4193a4[_0x39ccaf(0x1e3)]-0x1;_0x113203>0x0;_0x113203--){const _0x5a13af=Math['\x66\x6c\x6f\x6f\x72'](Math[_0x39ccaf(0x2bc)]()*(_0x113203+0x1));[_0x4193a4[_0x113203],_0x4193a4[_0x5a13af]]=[_0x4193a4[_0x5a13af],_0x4193a4[_0x113203]];}return _0x4193a4;}[a0_0x3d2090(0x2c7)](){const _0x454194=a0_0x3d2090;for(let _0x3555a3=0x0;_0x3555a3<this[_0x454194(0x222)][_0x454194(0x1e3)]-0x1;_0x3555a3++){const _0xb6d1f8=this[_0x454194(0x222)][_0x3555a3],_0x41b7aa=this[_0x454194(0x222)][_0x3555a3+0x1],_0x499287=new a0_0x159b3f['\x42\x75\x66\x66\x65\x72\x47\x65\x6f\x6d\x65\x74\x72\x79'](),_0xa3f83a=[],_0x885633=[],_0x4cc0e4=_0xb6d1f8[_0x454194(0x279)][_0x454194(0x20f)][_0x454194(0x2bd)][_0x454194(0x244)][_0x454194(0x2bf)],_0x8cfa75=_0x41b7aa['\x6d\x65\x73\x68'][_0x454194(0x20f)]['\x61\x74\x74\x72\x69\x62\x75\x74\x65\x73'][_0x454194(0x244)][_0x454194(0x2bf)],_0x3e99d1=CONFIG['\x70\x6f\x69\x6e\x74\x73\x50\x65\x72\x4c\x69\x6e\x65']+0x1;for(let _0x318f35=0x0;_0x318f35<_0x3e99d1;_0x318f35++){const _0x51aedb=_0x318f35*0x3;_0xa3f83a[_0x454194(0x2a8)](_0x4cc0e4[_0x51aedb],_0x4cc0e4[_0x51aedb+0x1],_0x4cc0e4[_0x51aedb+0x2]),_0xa3f83a[_0x454194(0x2a8)](_0x8cfa75[_0x51aedb],_0x8cfa75[_0x51aedb+0x1],_0x8cfa75[_0x51aedb+0x2]);}const _0xb22494=(_0x3e99d1-0x1)*0x2;for(let _0x2a04d9=0x0;_0x2a04d9<_0x3e99d1-0x1;_0x2a04d9++){const _0x31f38e=_0x2a04d9*0x2;_0x885633[_0x454194(0x2a8)](_0x31f38e,_0x31f38e+0x1,_0x31f38e+0x2),_0x885633[_0x454194(0x2a8)](_0x31f38e+0x1,_0x31f38e+0x3,_0x31f38e+0x2);}_0x499287[_0x454194(0x254)](_0x454194(0x244),new a0_0x159b3f[(_0x454194(0x212))](_0xa3f83a,0x3)),_0x499287[_0x454194(0x21c)](_0x885633);const _0x386357=new a0_0x159b3f[(_0x454194(0x2c8))]({'\x63\x6f\x6c\x6f\x72':new a0_0x159b3f['\x43\x6f\x6c\x6f\x72'](CONFIG[_0x454194(0x24e)]),'\x73\x69\x64\x65':a0_0x159b3f[_0x454194(0x291)],'\x64\x65\x70\x74\x68\x57\x72\x69\x74\x65':!![],'\x64\x65\x70\x74\x68\x54\x65\x73\x74':!![],'\x70\x6f\x6c\x79\x67\x6f\x6e\x4f\x66\x66\x73\x65\x74':!![],'\x70\x6f\x6c\x79\x67\x6f\x6e\x4f\x66\x66\x73\x65\x74\x46\x61\x63\x74\x6f\x72':0x2,'\x70\x6f\x6c\x79\x67\x6f\x6e\x4f\x66\x66\x73\x65\x74\x55\x6e\x69\x74\x73':0x2}),_0x426da9=new a0_0x159b3f[(_0x454194(0x206))](_0x499287,_0x386357);_0x426da9[_0x454194(0x2ae)]=-0x1,this['\x72\x69\x62\x62\x6f\x6e\x47\x72\x6f\x75\x70']['\x61\x64\x64'](_0x426da9);const _0x48d382={};_0x48d382[_0x454194(0x279)]=_0x426da9,_0x48d382[_0x454194(0x22a)]=_0x3555a3,_0x48d382[_0x454194(0x226)]=_0x3555a3+0x1,_0x48d382['\x74\x6f\x74\x61\x6c\x54\x72\x69\x61\x6e\x67\x6c\x65\x73']=_0xb22494,this[_0x454194(0x2a7)][_0x454194(0x2a8)](_0x48d382),_0x499287[_0x454194(0x1f9)](0x0,0x0);}}[a0_0x3d2090(0x1ec)](_0x4b2285){const _0x47566a=a0_0x3d2090,_0xd6fc70=this[_0x47566a(0x2a7)][_0x4b2285],_0x441c4d=this['\x6c\x69\x6e\x65\x73'][_0xd6fc70[_0x47566a(0x22a)]],_0x3f8ff6=this[_0x47566a(0x222)][_0xd6fc70[_0x47566a(0x226)]],_0x2c94a2=_0x441c4d['\x6d\x65\x73\x68'][_0x47566a(0x20f)]['\x61\x74\x74\x72\x69\x62\x75\x74\x65\x73']['\x70\x6f\x73\x69\x74\x69\x6f\x6e']['\x61\x72\x72\x61\x79'],_0x5b42be=_0x3f8ff6[_0x47566a(0x279)][_0x47566a(0x20f)][_0x47566a(0x2bd)][_0x47566a(0x244)]['\x61\x72\x72\x61\x79'],_0x1aa773=_0xd6fc70['\x6d\x65\x73\x68'][_0x47566a(0x20f)][_0x47566a(0x2bd)][_0x47566a(0x244)][_0x47566a(0x2bf)],_0x5d25f5=CONFIG[_0x47566a(0x1e7)]+0x1;for(let _0x15e0fb=0x0;_0x15e0fb<_0x5d25f5;_0x15e0fb++){const _0x11cce8=_0x15e0fb*0x3,_0x5a5b96=_0x15e0fb*0x6;_0x1aa773[_0x5a5b96]=_0x2c94a2[_0x11cce8],_0x1aa773[_0x5a5b96+0x1]=_0x2c94a2[_0x11cce8+0x1],_0x1aa773[_0x5a5b96+0x2]=_0x2c94a2[_0x11cce8+0x2],_0x1aa773[_0x5a5b96+0x3]=_0x5b42be[_0x11cce8],_0x1aa773[_0x5a5b96+0x4]=_0x5b42be[_0x11cce8+0x1],_0x1aa773[_0x5a5b96+0x5]=_0x5b42be[_0x11cce8+0x2];}_0xd6fc70[_0x47566a(0x279)]['\x67\x65\x6f\x6d\x65\x74\x72\x79']['\x61\x74\x74\x72\x69\x62\x75\x74\x65\x73'][_0x47566a(0x244)][_0x47566a(0x29d)]=!![];}[a0_0x3d2090(0x2ab)](){const _0x3df3ae=a0_0x3d2090,_0x53823e=CONFIG[_0x3df3ae(0x1e7)]+0x1,_0x81cdac=_0x53823e-0x1;for(let _0x4c2050=0x0;_0x4c2050<this[_0x3df3ae(0x2a7)][_0x3df3ae(0x1e3)];_0x4c2050++){const _0x3509d7=this[_0x3df3ae(0x2a7)][_0x4c2050],_0x106728=this[_0x3df3ae(0x222)][_0x3509d7['\x6c\x69\x6e\x65\x31\x49\x6e\x64\x65\x78']],_0x341aaa=this[_0x3df3ae(0x222)][_0x3509d7[_0x3df3ae(0x226)]];let _0x5525e6,_0x244abe;if(this[_0x3df3ae(0x2b8)]===_0x3df3ae(0x2b3))_0x5525e6=_0x106728[_0x3df3ae(0x275)],_0x244abe=_0x341aaa[_0x3df3ae(0x275)];else this[_0x3df3ae(0x2b8)]===_0x3df3ae(0x283)?(_0x106728[_0x3df3ae(0x26b)]<=0.5?_0x5525e6=0x1-_0x106728[_0x3df3ae(0x26b)]*0x2:_0x5525e6=(_0x106728[_0x3df3ae(0x26b)]-0.5)*0x2,_0x341aaa[_0x3df3ae(0x26b)]<=0.5?_0x244abe=0x1-_0x341aaa[_0x3df3ae(0x26b)]*0x2:_0x244abe=(_0x341aaa['\x6d\x6f\x72\x70\x68\x50\x72\x6f\x67\x72\x65\x73\x73']-0.5)*0x2):(_0x5525e6=0x1,_0x244abe=0x1);const _0x50f823=Math['\x6d\x69\x6e'](_0x5525e6,_0x244abe),_0x3bbb32=Math[_0x3df3ae(0x2b0)](_0x50f823*_0x81cdac),_0x267f1b=_0x3bbb32*0x6;_0x3509d7['\x6d\x65\x73\x68']['\x67\x65\x6f\x6d\x65\x74\x72\x79'][_0x3df3ae(0x1f9)](0x0,_0x267f1b);}}[a0_0x3d2090(0x230)](_0x4a9d75){const _0xe0f868=a0_0x3d2090;this[_0xe0f868(0x1ef)]===undefined&&(this[_0xe0f868(0x1ef)]=0.000018,this[_0xe0f868(0x1dc)]=0.00007,this['\x63\x75\x72\x72\x65\x6e\x74\x52\x6f\x74\x61\x74\x69\x6f\x6e\x58']=CONFIG[_0xe0f868(0x2a6)],this[_0xe0f868(0x1e1)]=0x0,this[_0xe0f868(0x248)]=CONFIG[_0xe0f868(0x1f3)],this['\x6c\x61\x73\x74\x44\x72\x61\x67\x58']=0x0,this[_0xe0f868(0x2c6)]=0x0);const _0x180337=this[_0xe0f868(0x241)]?.[_0xe0f868(0x1f7)]||0x0,_0x3c008f=this[_0xe0f868(0x241)]?.[_0xe0f868(0x2c9)]||0x0,_0x3f0b37=_0x180337-this[_0xe0f868(0x28a)],_0x4c9852=_0x3c008f-this[_0xe0f868(0x2c6)];this[_0xe0f868(0x28a)]=_0x180337,this[_0xe0f868(0x2c6)]=_0x3c008f,this[_0xe0f868(0x1dc)]+=_0x4c9852*0.0007,this[_0xe0f868(0x1ef)]+=_0x3f0b37*0.00053,this[_0xe0f868(0x1dc)]=Math[_0xe0f868(0x24a)](-0.00035,Math[_0xe0f868(0x205)](0.00035,this[_0xe0f868(0x1dc)])),this[_0xe0f868(0x1ef)]=Math['\x6d\x61\x78'](-0.00026,Math['\x6d\x69\x6e'](0.00026,this[_0xe0f868(0x1ef)])),this[_0xe0f868(0x2ad)]+=this['\x73\x70\x69\x6e\x52\x61\x74\x65\x58']*_0x4a9d75,this[_0xe0f868(0x1e1)]+=this[_0xe0f868(0x1dc)]*_0x4a9d75,this[_0xe0f868(0x26e)]=(this[_0xe0f868(0x26e)]||0x0)+_0x4a9d75*CONFIG['\x72\x6f\x74\x61\x74\x69\x6f\x6e\x53\x70\x65\x65\x64'];const _0x4d62ed=CONFIG[_0xe0f868(0x1f3)]+Math[_0xe0f868(0x22b)](this[_0xe0f868(0x26e)]*0.5)*0.06;this[_0xe0f868(0x223)][_0xe0f868(0x236)][_0xe0f868(0x20b)](this[_0xe0f868(0x2ad)],this['\x63\x75\x72\x72\x65\x6e\x74\x52\x6f\x74\x61\x74\x69\x6f\x6e\x59'],_0x4d62ed);}['\x75\x70\x64\x61\x74\x65'](_0x25eca1){const _0x26ee0b=a0_0x3d2090;this[_0x26ee0b(0x20a)]+=_0x25eca1*0.001,this[_0x26ee0b(0x230)](_0x25eca1);const _0x347e9e=CONFIG['\x70\x6f\x69\x6e\x74\x73\x50\x65\x72\x4c\x69\x6e\x65']+0x1,_0x255ebe=this[_0x26ee0b(0x20a)]*0x3e8-this[_0x26ee0b(0x2a3)];switch(this[_0x26ee0b(0x2b8)]){case _0x26ee0b(0x2b3):for(let _0x1aa04e=0x0;_0x1aa04e<this['\x6c\x69\x6e\x65\x73'][_0x26ee0b(0x1e3)];_0x1aa04e++){const _0x41b1c4=_0x1aa04e*CONFIG[_0x26ee0b(0x2aa)];if(_0x255ebe>=_0x41b1c4){const _0x112221=_0x255ebe-_0x41b1c4;this[_0x26ee0b(0x222)][_0x1aa04e][_0x26ee0b(0x275)]=Math['\x6d\x69\x6e'](0x1,_0x112221/CONFIG[_0x26ee0b(0x239)]);const _0x5acf05=Math[_0x26ee0b(0x2b0)](this[_0x26ee0b(0x222)][_0x1aa04e][_0x26ee0b(0x275)]*_0x347e9e);this[_0x26ee0b(0x222)][_0x1aa04e][_0x26ee0b(0x279)][_0x26ee0b(0x20f)][_0x26ee0b(0x1f9)](0x0,_0x5acf05);}}const _0x43b02b=this[_0x26ee0b(0x222)][this[_0x26ee0b(0x222)][_0x26ee0b(0x1e3)]-0x1];_0x43b02b[_0x26ee0b(0x275)]>=0x1&&(this[_0x26ee0b(0x2b8)]=_0x26ee0b(0x1f2),this[_0x26ee0b(0x2a3)]=this[_0x26ee0b(0x20a)]*0x3e8,this[_0x26ee0b(0x2c5)]=0x0);break;case _0x26ee0b(0x1f2):this[_0x26ee0b(0x2c5)]+=_0x25eca1;if(this[_0x26ee0b(0x2c5)]>=CONFIG[_0x26ee0b(0x2b6)]){this[_0x26ee0b(0x2b8)]=_0x26ee0b(0x283),this[_0x26ee0b(0x2a3)]=this[_0x26ee0b(0x20a)]*0x3e8,this[_0x26ee0b(0x1fe)]=![],this['\x6e\x65\x78\x74\x43\x75\x72\x76\x65\x49\x6e\x64\x65\x78']=this[_0x26ee0b(0x2a0)][this[_0x26ee0b(0x216)]],this['\x63\x75\x72\x76\x65\x4f\x72\x64\x65\x72\x49\x6e\x64\x65\x78']=(this['\x63\x75\x72\x76\x65\x4f\x72\x64\x65\x72\x49\x6e\x64\x65\x78']+0x1)%this[_0x26ee0b(0x2a0)][_0x26ee0b(0x1e3)];this['\x6e\x65\x78\x74\x43\x75\x72\x76\x65\x49\x6e\x64\x65\x78']===this['\x63\x75\x72\x72\x65\x6e\x74\x43\x75\x72\x76\x65\x49\x6e\x64\x65\x78']&&this[_0x26ee0b(0x2c0)][_0x26ee0b(0x1e3)]>0x1&&(this['\x6e\x65\x78\x74\x43\x75\x72\x76\x65\x49\x6e\x64\x65\x78']=this['\x63\x75\x72\x76\x65\x4f\x72\x64\x65\x72'][this[_0x26ee0b(0x216)]],this[_0x26ee0b(0x216)]=(this[_0x26ee0b(0x216)]+0x1)%this[_0x26ee0b(0x2a0)]['\x6c\x65\x6e\x67\x74\x68']);this[_0x26ee0b(0x216)]===0x0&&(this[_0x26ee0b(0x2a0)]=this[_0x26ee0b(0x207)](this[_0x26ee0b(0x2a0)]));for(const _0x523eaa of this[_0x26ee0b(0x222)]){_0x523eaa['\x6d\x6f\x72\x70\x68\x50\x72\x6f\x67\x72\x65\x73\x73']=0x0;}}break;case _0x26ee0b(0x283):for(let _0x3463b7=0x0;_0x3463b7<this[_0x26ee0b(0x222)][_0x26ee0b(0x1e3)];_0x3463b7++){const _0xe558f4=this[_0x26ee0b(0x222)][_0x3463b7],_0x3e7b37=_0x3463b7*CONFIG[_0x26ee0b(0x2aa)];if(_0x255ebe>=_0x3e7b37){const _0x6415b=_0x255ebe-_0x3e7b37,_0xe3f3fb=_0xe558f4['\x6d\x6f\x72\x70\x68\x50\x72\x6f\x67\x72\x65\x73\x73'];_0xe558f4['\x6d\x6f\x72\x70\x68\x50\x72\x6f\x67\x72\x65\x73\x73']=Math[_0x26ee0b(0x205)](0x1,_0x6415b/CONFIG['\x6d\x6f\x72\x70\x68\x44\x75\x72\x61\x74\x69\x6f\x6e']);_0xe3f3fb<0.5&&_0xe558f4[_0x26ee0b(0x26b)]>=0.5&&(_0xe558f4[_0x26ee0b(0x234)](this[_0x26ee0b(0x2c0)][this['\x6e\x65\x78\x74\x43\x75\x72\x76\x65\x49\x6e\x64\x65\x78']],this[_0x26ee0b(0x20a)]),_0x3463b7>0x0&&this['\x66\x69\x6c\x6c\x4d\x65\x73\x68\x65\x73'][_0x3463b7-0x1]&&this['\x75\x70\x64\x61\x74\x65\x46\x69\x6c\x6c\x4d\x65\x73\x68\x50\x6f\x73\x69\x74\x69\x6f\x6e\x73'](_0x3463b7-0x1),_0x3463b7<this[_0x26ee0b(0x222)]['\x6c\x65\x6e\x67\x74\x68']-0x1&&this[_0x26ee0b(0x2a7)][_0x3463b7]&&this[_0x26ee0b(0x1ec)](_0x3463b7));if(_0xe558f4[_0x26ee0b(0x26b)]<=0.5){const _0x41c32f=_0xe558f4[_0x26ee0b(0x26b)]*0x2,_0x5c386e=Math[_0x26ee0b(0x2b0)]((0x1-_0x41c32f)*_0x347e9e);_0xe558f4[_0x26ee0b(0x279)][_0x26ee0b(0x20f)][_0x26ee0b(0x1f9)](0x0,Math[_0x26ee0b(0x24a)](0x1,_0x5c386e));}else{const _0x4abc31=(_0xe558f4['\x6d\x6f\x72\x70\x68\x50\x72\x6f\x67\x72\x65\x73\x73']-0.5)*0x2,_0x42556e=Math[_0x26ee0b(0x2b0)](_0x4abc31*_0x347e9e);_0xe558f4[_0x26ee0b(0x279)]['\x67\x65\x6f\x6d\x65\x74\x72\x79'][_0x26ee0b(0x1f9)](0x0,_0x42556e);}}}this[_0x26ee0b(0x2ab)]();const _0x169a13=this[_0x26ee0b(0x222)][this[_0x26ee0b(0x222)][_0x26ee0b(0x1e3)]-0x1];if(_0x169a13['\x6d\x6f\x72\x70\x68\x50\x72\x6f\x67\x72\x65\x73\x73']>=0x1){this[_0x26ee0b(0x2b8)]=_0x26ee0b(0x1f2),this[_0x26ee0b(0x2a3)]=this['\x74\x69\x6d\x65']*0x3e8,this['\x68\x6f\x6c\x64\x54\x69\x6d\x65\x72']=0x0,this[_0x26ee0b(0x278)]=this[_0x26ee0b(0x20d)];for(const _0x159c52 of this['\x6c\x69\x6e\x65\x73']){_0x159c52[_0x26ee0b(0x29a)](),_0x159c52['\x64\x72\x61\x77\x50\x72\x6f\x67\x72\x65\x73\x73']=0x1,_0x159c52[_0x26ee0b(0x279)][_0x26ee0b(0x20f)][_0x26ee0b(0x1f9)](0x0,_0x347e9e);}}break;}this['\x75\x70\x64\x61\x74\x65\x46\x69\x6c\x6c\x4d\x65\x73\x68\x65\x73']();}[a0_0x3d2090(0x1ee)](){const _0x41f217=a0_0x3d2090;for(const _0x544d70 of this[_0x41f217(0x222)]){_0x544d70['\x64\x69\x73\x70\x6f\x73\x65']();}for(const _0x5d7611 of this[_0x41f217(0x2a7)]){_0x5d7611[_0x41f217(0x279)][_0x41f217(0x20f)][_0x41f217(0x1ee)](),_0x5d7611[_0x41f217(0x279)][_0x41f217(0x258)][_0x41f217(0x1ee)](),this[_0x41f217(0x223)]['\x72\x65\x6d\x6f\x76\x65'](_0x5d7611[_0x41f217(0x279)]);}this[_0x41f217(0x2a7)]=[],this[_0x41f217(0x1f1)]['\x72\x65\x6d\x6f\x76\x65'](this[_0x41f217(0x223)]);}}class RibbonManager{constructor(){const _0x4b0533=a0_0x3d2090;this[_0x4b0533(0x250)]=window[_0x4b0533(0x2a5)],this[_0x4b0533(0x232)]=window[_0x4b0533(0x269)],this['\x73\x63\x65\x6e\x65']=new a0_0x159b3f[(_0x4b0533(0x270))](),this[_0x4b0533(0x1f1)][_0x4b0533(0x284)]=new a0_0x159b3f[(_0x4b0533(0x298))](CONFIG['\x62\x61\x63\x6b\x67\x72\x6f\x75\x6e\x64\x43\x6f\x6c\x6f\x72']);const _0x256b0a=Math[_0x4b0533(0x205)](this[_0x4b0533(0x250)],this[_0x4b0533(0x232)]);this[_0x4b0533(0x1e2)]=new a0_0x159b3f['\x4f\x72\x74\x68\x6f\x67\x72\x61\x70\x68\x69\x63\x43\x61\x6d\x65\x72\x61'](-this['\x77\x69\x64\x74\x68']/0x2,this['\x77\x69\x64\x74\x68']/0x2,this['\x68\x65\x69\x67\x68\x74']/0x2,-this[_0x4b0533(0x232)]/0x2,0.1,0xbb8),this[_0x4b0533(0x1e2)][_0x4b0533(0x244)]['\x7a']=0x3e8,this[_0x4b0533(0x243)]=/Android|iPhone|iPad|iPod/i[_0x4b0533(0x242)](navigator[_0x4b0533(0x257)]),this[_0x4b0533(0x297)]=new a0_0x159b3f[(_0x4b0533(0x202))]({'\x63\x61\x6e\x76\x61\x73':document['\x67\x65\x74\x45\x6c\x65\x6d\x65\x6e\x74\x42\x79\x49\x64'](_0x4b0533(0x296)),'\x61\x6e\x74\x69\x61\x6c\x69\x61\x73':!![],'\x61\x6c\x70\x68\x61':![],'\x70\x6f\x77\x65\x72\x50\x72\x65\x66\x65\x72\x65\x6e\x63\x65':'\x68\x69\x67\x68\x2d\x70\x65\x72\x66\x6f\x72\x6d\x61\x6e\x63\x65','\x73\x74\x65\x6e\x63\x69\x6c':![],'\x64\x65\x70\x74\x68':!![],'\x70\x72\x65\x6d\x75\x6c\x74\x69\x70\x6c\x69\x65\x64\x41\x6c\x70\x68\x61':![],'\x70\x72\x65\x73\x65\x72\x76\x65\x44\x72\x61\x77\x69\x6e\x67\x42\x75\x66\x66\x65\x72':![],'\x66\x61\x69\x6c\x49\x66\x4d\x61\x6a\x6f\x72\x50\x65\x72\x66\x6f\x72\x6d\x61\x6e\x63\x65\x43\x61\x76\x65\x61\x74':![]}),this[_0x4b0533(0x297)]['\x73\x65\x74\x53\x69\x7a\x65'](this['\x77\x69\x64\x74\x68'],this['\x68\x65\x69\x67\x68\x74']);const _0x2d11ca=this[_0x4b0533(0x243)]?1.5:0x2;this['\x72\x65\x6e\x64\x65\x72\x65\x72'][_0x4b0533(0x246)](Math[_0x4b0533(0x205)](window['\x64\x65\x76\x69\x63\x65\x50\x69\x78\x65\x6c\x52\x61\x74\x69\x6f'],_0x2d11ca)),this['\x6d\x6f\x75\x73\x65\x49\x6e\x66\x6c\x75\x65\x6e\x63\x65\x58']=0x0,this[_0x4b0533(0x286)]=0x0,this[_0x4b0533(0x1f7)]=0x0,this[_0x4b0533(0x2c9)]=0x0,this['\x69\x73\x44\x72\x61\x67\x67\x69\x6e\x67']=![],this[_0x4b0533(0x260)]=![];const _0x302605={};_0x302605['\x78']=0x0,_0x302605['\x79']=0x0,this['\x6d\x6f\x75\x73\x65\x44\x6f\x77\x6e\x50\x6f\x73']=_0x302605,this[_0x4b0533(0x1fa)]=0x0,this[_0x4b0533(0x293)]=0x0,this[_0x4b0533(0x1e4)]=this[_0x4b0533(0x250)]/0x2,this[_0x4b0533(0x2b1)]=this[_0x4b0533(0x232)]/0x2,this['\x63\x75\x72\x72\x65\x6e\x74\x52\x69\x70\x70\x6c\x65\x43\x6f\x6c\x6f\x72']=null,this[_0x4b0533(0x268)]=[],this[_0x4b0533(0x282)]=new a0_0x159b3f[(_0x4b0533(0x2ce))](),this[_0x4b0533(0x27e)]=performance[_0x4b0533(0x220)](),this[_0x4b0533(0x1e9)]=0x0,this[_0x4b0533(0x2ac)]=0x1%CONFIG['\x72\x69\x70\x70\x6c\x65\x43\x6f\x6c\x6f\x72\x73']['\x6c\x65\x6e\x67\x74\x68'],this['\x63\x79\x63\x6c\x69\x6e\x67\x43\x6f\x6c\x6f\x72']=new a0_0x159b3f['\x43\x6f\x6c\x6f\x72'](),this['\x69\x73\x48\x6f\x76\x65\x72\x69\x6e\x67']=![],this['\x77\x61\x73\x48\x6f\x76\x65\x72\x69\x6e\x67']=![],this[_0x4b0533(0x26a)](),document[_0x4b0533(0x21e)](_0x4b0533(0x290),_0x184a06=>{const _0x51ff3b=_0x4b0533;this[_0x51ff3b(0x21b)]=!![],this[_0x51ff3b(0x260)]=!![];const _0x2f69dd={};_0x2f69dd['\x78']=_0x184a06[_0x51ff3b(0x267)],_0x2f69dd['\x79']=_0x184a06[_0x51ff3b(0x1ed)],this[_0x51ff3b(0x277)]=_0x2f69dd,this[_0x51ff3b(0x1fa)]=_0x184a06['\x63\x6c\x69\x65\x6e\x74\x58'],this[_0x51ff3b(0x293)]=_0x184a06[_0x51ff3b(0x1ed)];}),document[_0x4b0533(0x21e)](_0x4b0533(0x271),_0x1c7ac6=>{const _0x147432=_0x4b0533;this[_0x147432(0x1e4)]=_0x1c7ac6[_0x147432(0x267)],this['\x6d\x6f\x75\x73\x65\x59']=_0x1c7ac6[_0x147432(0x1ed)];if(this[_0x147432(0x21b)]){const _0x110c6d=Math[_0x147432(0x215)](_0x1c7ac6['\x63\x6c\x69\x65\x6e\x74\x58']-this[_0x147432(0x277)]['\x78'])+Math[_0x147432(0x215)](_0x1c7ac6[_0x147432(0x1ed)]-this['\x6d\x6f\x75\x73\x65\x44\x6f\x77\x6e\x50\x6f\x73']['\x79']);if(_0x110c6d>0x5)this[_0x147432(0x260)]=![];const _0x316515=_0x1c7ac6[_0x147432(0x267)]-this[_0x147432(0x1fa)],_0x59141f=_0x1c7ac6[_0x147432(0x1ed)]-this['\x6c\x61\x73\x74\x4d\x6f\x75\x73\x65\x59'];this[_0x147432(0x2c9)]+=_0x316515*0.004*CONFIG[_0x147432(0x1e8)],this[_0x147432(0x1f7)]+=_0x59141f*0.004*CONFIG[_0x147432(0x1e8)],this['\x64\x72\x61\x67\x4f\x66\x66\x73\x65\x74\x58']=Math[_0x147432(0x24a)](-0.6,Math[_0x147432(0x205)](0.6,this[_0x147432(0x1f7)])),this['\x64\x72\x61\x67\x4f\x66\x66\x73\x65\x74\x59']=Math[_0x147432(0x24a)](-0.6,Math[_0x147432(0x205)](0.6,this[_0x147432(0x2c9)])),this[_0x147432(0x1fa)]=_0x1c7ac6[_0x147432(0x267)],this[_0x147432(0x293)]=_0x1c7ac6[_0x147432(0x1ed)];}this['\x69\x73\x48\x6f\x76\x65\x72\x69\x6e\x67']=!![];}),document[_0x4b0533(0x21e)]('\x6d\x6f\x75\x73\x65\x6c\x65\x61\x76\x65',()=>{this['\x69\x73\x48\x6f\x76\x65\x72\x69\x6e\x67']=![];}),document[_0x4b0533(0x21e)](_0x4b0533(0x263),_0x5d92ff=>{const _0x3ecbe8=_0x4b0533;this[_0x3ecbe8(0x260)]&&this[_0x3ecbe8(0x2cf)](_0x5d92ff[_0x3ecbe8(0x267)],_0x5d92ff[_0x3ecbe8(0x1ed)]),this[_0x3ecbe8(0x21b)]=![],this[_0x3ecbe8(0x260)]=![];});const _0x4822bf=_0x46a551=>_0x46a551[_0x4b0533(0x20c)][_0x4b0533(0x1e0)]&&_0x46a551[_0x4b0533(0x20c)][_0x4b0533(0x1e0)](_0x4b0533(0x2c4)),_0x147e11={};_0x147e11[_0x4b0533(0x2b4)]=!![],document[_0x4b0533(0x21e)](_0x4b0533(0x252),_0x1562c4=>{const _0xfce0e7=_0x4b0533;if(_0x4822bf(_0x1562c4))return;if(_0x1562c4[_0xfce0e7(0x219)][_0xfce0e7(0x1e3)]===0x1){this[_0xfce0e7(0x21b)]=!![],this[_0xfce0e7(0x260)]=!![];const _0x19a07a={};_0x19a07a['\x78']=_0x1562c4[_0xfce0e7(0x219)][0x0][_0xfce0e7(0x267)],_0x19a07a['\x79']=_0x1562c4[_0xfce0e7(0x219)][0x0]['\x63\x6c\x69\x65\x6e\x74\x59'],this[_0xfce0e7(0x277)]=_0x19a07a,this[_0xfce0e7(0x1fa)]=_0x1562c4['\x74\x6f\x75\x63\x68\x65\x73'][0x0][_0xfce0e7(0x267)],this[_0xfce0e7(0x293)]=_0x1562c4[_0xfce0e7(0x219)][0x0][_0xfce0e7(0x1ed)];}},_0x147e11);const _0x1492a3={};_0x1492a3['\x70\x61\x73\x73\x69\x76\x65']=!![],document['\x61\x64\x64\x45\x76\x65\x6e\x74\x4c\x69\x73\x74\x65\x6e\x65\x72'](_0x4b0533(0x27c),_0x3ac6a9=>{const _0x4d4b4e=_0x4b0533;if(!this[_0x4d4b4e(0x21b)]||_0x3ac6a9[_0x4d4b4e(0x219)][_0x4d4b4e(0x1e3)]!==0x1)return;const _0xa3739c=Math[_0x4d4b4e(0x215)](_0x3ac6a9[_0x4d4b4e(0x219)][0x0][_0x4d4b4e(0x267)]-this[_0x4d4b4e(0x277)]['\x78'])+Math['\x61\x62\x73'](_0x3ac6a9[_0x4d4b4e(0x219)][0x0][_0x4d4b4e(0x1ed)]-this[_0x4d4b4e(0x277)]['\x79']);if(_0xa3739c>0xa)this[_0x4d4b4e(0x260)]=![];const _0x50643d=_0x3ac6a9[_0x4d4b4e(0x219)][0x0][_0x4d4b4e(0x267)]-this[_0x4d4b4e(0x1fa)],_0xd9e699=_0x3ac6a9['\x74\x6f\x75\x63\x68\x65\x73'][0x0][_0x4d4b4e(0x1ed)]-this[_0x4d4b4e(0x293)];this['\x64\x72\x61\x67\x4f\x66\x66\x73\x65\x74\x59']+=_0x50643d*0.004*CONFIG[_0x4d4b4e(0x1e8)],this[_0x4d4b4e(0x1f7)]+=_0xd9e699*0.004*CONFIG['\x64\x72\x61\x67\x49\x6e\x66\x6c\x75\x65\x6e\x63\x65'],this['\x64\x72\x61\x67\x4f\x66\x66\x73\x65\x74\x58']=Math['\x6d\x61\x78'](-0.6,Math[_0x4d4b4e(0x205)](0.6,this[_0x4d4b4e(0x1f7)])),this[_0x4d4b4e(0x2c9)]=Math[_0x4d4b4e(0x24a)](-0.6,Math[_0x4d4b4e(0x205)](0.6,this[_0x4d4b4e(0x2c9)])),this[_0x4d4b4e(0x1fa)]=_0x3ac6a9[_0x4d4b4e(0x219)][0x0]['\x63\x6c\x69\x65\x6e\x74\x58'],this[_0x4d4b4e(0x293)]=_0x3ac6a9[_0x4d4b4e(0x219)][0x0][_0x4d4b4e(0x1ed)];},_0x1492a3);const _0x363a1c={};_0x363a1c[_0x4b0533(0x2b4)]=!![],document['\x61\x64\x64\x45\x76\x65\x6e\x74\x4c\x69\x73\x74\x65\x6e\x65\x72'](_0x4b0533(0x249),_0x4d60e6=>{const _0x238387=_0x4b0533;this[_0x238387(0x260)]&&_0x4d60e6['\x63\x68\x61\x6e\x67\x65\x64\x54\x6f\x75\x63\x68\x65\x73'][_0x238387(0x1e3)]>0x0&&this[_0x238387(0x2cf)](_0x4d60e6[_0x238387(0x1e5)][0x0][_0x238387(0x267)],_0x4d60e6[_0x238387(0x1e5)][0x0]['\x63\x6c\x69\x65\x6e\x74\x59']),this['\x69\x73\x44\x72\x61\x67\x67\x69\x6e\x67']=![],this[_0x238387(0x260)]=![];},_0x363a1c),this[_0x4b0533(0x2b5)]=new SimplexNoise(),this['\x72\x69\x62\x62\x6f\x6e\x73']=[];for(let _0x213330=0x0;_0x213330<CONFIG['\x72\x69\x62\x62\x6f\x6e\x43\x6f\x75\x6e\x74'];_0x213330++){const _0x363f1a=new Ribbon3D(this[_0x4b0533(0x1f1)],this[_0x4b0533(0x2b5)],this);this[_0x4b0533(0x251)][_0x4b0533(0x2a8)](_0x363f1a);}window[_0x4b0533(0x21e)](_0x4b0533(0x221),()=>this[_0x4b0533(0x1df)]()),document['\x61\x64\x64\x45\x76\x65\x6e\x74\x4c\x69\x73\x74\x65\x6e\x65\x72']('\x76\x69\x73\x69\x62\x69\x6c\x69\x74\x79\x63\x68\x61\x6e\x67\x65',()=>{const _0x2668aa=_0x4b0533;document[_0x2668aa(0x28b)]?this[_0x2668aa(0x27f)]():this[_0x2668aa(0x2b9)]();});const _0x5b06a8=document[_0x4b0533(0x24f)]('\x72\x69\x62\x62\x6f\x6e\x2d\x6a\x73');_0x5b06a8[_0x4b0533(0x21e)](_0x4b0533(0x20e),_0x3bef07=>{const _0x237c0f=_0x4b0533;_0x3bef07[_0x237c0f(0x208)](),this['\x70\x61\x75\x73\x65'](),console['\x77\x61\x72\x6e'](_0x237c0f(0x299));}),_0x5b06a8[_0x4b0533(0x21e)](_0x4b0533(0x29f),()=>{const _0x43bd7c=_0x4b0533;console[_0x43bd7c(0x2be)](_0x43bd7c(0x2cd)),this[_0x43bd7c(0x2b9)]();}),this[_0x4b0533(0x247)]=new a0_0x159b3f[(_0x4b0533(0x237))](),this[_0x4b0533(0x2d0)]=performance[_0x4b0533(0x220)](),this[_0x4b0533(0x2cb)]=![],this[_0x4b0533(0x22d)]();}[a0_0x3d2090(0x27f)](){const _0x2409c1=a0_0x3d2090;this['\x61\x6e\x69\x6d\x61\x74\x69\x6f\x6e\x49\x64']&&(cancelAnimationFrame(this['\x61\x6e\x69\x6d\x61\x74\x69\x6f\x6e\x49\x64']),this[_0x2409c1(0x274)]=null),this[_0x2409c1(0x247)][_0x2409c1(0x245)](),this[_0x2409c1(0x2cb)]=!![];}[a0_0x3d2090(0x2b9)](){const _0x4afd4a=a0_0x3d2090;this[_0x4afd4a(0x2cb)]&&!this[_0x4afd4a(0x274)]&&(this['\x63\x6c\x6f\x63\x6b']['\x73\x74\x61\x72\x74'](),this['\x69\x73\x50\x61\x75\x73\x65\x64']=![],this[_0x4afd4a(0x22d)]());}[a0_0x3d2090(0x1df)](){const _0xfbcc6f=a0_0x3d2090;this[_0xfbcc6f(0x250)]=window[_0xfbcc6f(0x2a5)],this['\x68\x65\x69\x67\x68\x74']=window[_0xfbcc6f(0x269)],this[_0xfbcc6f(0x1e2)][_0xfbcc6f(0x228)]=-this[_0xfbcc6f(0x250)]/0x2,this[_0xfbcc6f(0x1e2)][_0xfbcc6f(0x287)]=this[_0xfbcc6f(0x250)]/0x2,this[_0xfbcc6f(0x1e2)][_0xfbcc6f(0x214)]=this['\x68\x65\x69\x67\x68\x74']/0x2,this[_0xfbcc6f(0x1e2)][_0xfbcc6f(0x2c3)]=-this[_0xfbcc6f(0x232)]/0x2,this['\x63\x61\x6d\x65\x72\x61'][_0xfbcc6f(0x1da)](),this[_0xfbcc6f(0x297)][_0xfbcc6f(0x1f6)](this[_0xfbcc6f(0x250)],this[_0xfbcc6f(0x232)]);const _0x3a2a67=this[_0xfbcc6f(0x243)]?1.5:0x2;this['\x72\x65\x6e\x64\x65\x72\x65\x72'][_0xfbcc6f(0x246)](Math[_0xfbcc6f(0x205)](window['\x64\x65\x76\x69\x63\x65\x50\x69\x78\x65\x6c\x52\x61\x74\x69\x6f'],_0x3a2a67));}[a0_0x3d2090(0x2cf)](_0x35cd30,_0x42ec60){const _0x2c9862=a0_0x3d2090,_0x5821c0=performance['\x6e\x6f\x77']();for(const _0x17bf7c of this[_0x2c9862(0x268)]){const _0x26d0d0=_0x5821c0-_0x17bf7c[_0x2c9862(0x2d0)];if(_0x26d0d0<CONFIG[_0x2c9862(0x2a2)])return;}if(this[_0x2c9862(0x23f)]&&_0x5821c0-this[_0x2c9862(0x23f)]<0x12c)return;this[_0x2c9862(0x23f)]=_0x5821c0;const _0x412f28=Math[_0x2c9862(0x2bc)](),_0x3f8e08=this[_0x2c9862(0x28f)][_0x2c9862(0x1ea)](),_0x19ed50={};_0x19ed50['\x63\x6c\x69\x63\x6b\x54']=_0x412f28,_0x19ed50[_0x2c9862(0x280)]=_0x3f8e08,_0x19ed50[_0x2c9862(0x2d0)]=_0x5821c0,this[_0x2c9862(0x268)][_0x2c9862(0x2a8)](_0x19ed50);const _0x14b458={};_0x14b458[_0x2c9862(0x280)]=_0x3f8e08;const _0x434b4b={};_0x434b4b[_0x2c9862(0x210)]=_0x14b458,window[_0x2c9862(0x227)](new CustomEvent(_0x2c9862(0x224),_0x434b4b));}['\x75\x70\x64\x61\x74\x65\x52\x69\x70\x70\x6c\x65\x73'](){const _0x1a9776=a0_0x3d2090;if(this[_0x1a9776(0x268)][_0x1a9776(0x1e3)]===0x0)return;const _0x49d629=performance[_0x1a9776(0x220)](),_0xe67b5b=CONFIG[_0x1a9776(0x2a2)]+CONFIG[_0x1a9776(0x1eb)],_0x47dd64=[];for(let _0x298007=0x0;_0x298007<this['\x61\x63\x74\x69\x76\x65\x52\x69\x70\x70\x6c\x65\x73'][_0x1a9776(0x1e3)];_0x298007++){const _0x5f54d6=this['\x61\x63\x74\x69\x76\x65\x52\x69\x70\x70\x6c\x65\x73'][_0x298007],_0x382167=_0x49d629-_0x5f54d6[_0x1a9776(0x2d0)];if(_0x382167>=_0xe67b5b){_0x47dd64[_0x1a9776(0x2a8)](_0x298007);continue;}let _0x18f880,_0x2ec0e5;if(_0x382167<CONFIG[_0x1a9776(0x2a2)])_0x18f880=0x1-Math['\x70\x6f\x77'](0x1-_0x382167/CONFIG[_0x1a9776(0x2a2)],0x2),_0x2ec0e5=0x0;else{_0x18f880=0x1;const _0x3cad5a=_0x382167-CONFIG[_0x1a9776(0x2a2)];_0x2ec0e5=_0x3cad5a/CONFIG[_0x1a9776(0x1eb)];}for(const _0xda1581 of this[_0x1a9776(0x251)]){for(const _0x3597dc of _0xda1581[_0x1a9776(0x222)]){_0x3597dc['\x61\x70\x70\x6c\x79\x52\x69\x70\x70\x6c\x65'](_0x5f54d6[_0x1a9776(0x288)],_0x5f54d6[_0x1a9776(0x280)],_0x18f880,_0x2ec0e5);}}}for(let _0x48e8e7=_0x47dd64[_0x1a9776(0x1e3)]-0x1;_0x48e8e7>=0x0;_0x48e8e7--){this[_0x1a9776(0x268)]['\x73\x70\x6c\x69\x63\x65'](_0x47dd64[_0x48e8e7],0x1);}if(this[_0x1a9776(0x268)][_0x1a9776(0x1e3)]===0x0){for(const _0x4e6a4c of this[_0x1a9776(0x251)]){for(const _0x3f2dfc of _0x4e6a4c['\x6c\x69\x6e\x65\x73']){_0x3f2dfc['\x72\x65\x73\x65\x74\x43\x6f\x6c\x6f\x72\x73']();}}this[_0x1a9776(0x1f5)]=performance[_0x1a9776(0x220)](),window[_0x1a9776(0x227)](new CustomEvent(_0x1a9776(0x21a)));}}[a0_0x3d2090(0x26a)](){const _0x51f773=a0_0x3d2090,_0x17c0b8=performance['\x6e\x6f\x77'](),_0x3c9fc=_0x17c0b8-this[_0x51f773(0x27e)],_0x4e142f=Math[_0x51f773(0x205)](0x1,_0x3c9fc/CONFIG[_0x51f773(0x2a9)]),_0x4ca0f3=_0x4e142f<0.5?0x2*_0x4e142f*_0x4e142f:0x1-Math[_0x51f773(0x23b)](-0x2*_0x4e142f+0x2,0x2)/0x2,_0x18100e=CONFIG[_0x51f773(0x22c)],_0x5e9dc9=_0x18100e[this['\x63\x75\x72\x72\x65\x6e\x74\x43\x6f\x6c\x6f\x72\x49\x6e\x64\x65\x78']],_0x471a83=_0x18100e[this[_0x51f773(0x2ac)]],_0x392986=(_0x5e9dc9[0x0]+(_0x471a83[0x0]-_0x5e9dc9[0x0])*_0x4ca0f3)/0xff,_0xad3405=(_0x5e9dc9[0x1]+(_0x471a83[0x1]-_0x5e9dc9[0x1])*_0x4ca0f3)/0xff,_0x62372a=(_0x5e9dc9[0x2]+(_0x471a83[0x2]-_0x5e9dc9[0x2])*_0x4ca0f3)/0xff;this['\x63\x79\x63\x6c\x69\x6e\x67\x43\x6f\x6c\x6f\x72']['\x73\x65\x74\x52\x47\x42'](_0x392986,_0xad3405,_0x62372a),_0x4e142f>=0x1&&(this[_0x51f773(0x1e9)]=this[_0x51f773(0x2ac)],this[_0x51f773(0x2ac)]=(this[_0x51f773(0x2ac)]+0x1)%_0x18100e[_0x51f773(0x1e3)],this[_0x51f773(0x27e)]=_0x17c0b8);}[a0_0x3d2090(0x265)](){const _0x44132a=a0_0x3d2090,_0x167aa2=CONFIG[_0x44132a(0x1f4)];for(const _0x14146d of this[_0x44132a(0x251)]){for(const _0x5625d3 of _0x14146d[_0x44132a(0x222)]){if(!_0x5625d3[_0x44132a(0x266)]||!_0x5625d3[_0x44132a(0x1fd)])continue;const _0x3ad7e4=_0x5625d3[_0x44132a(0x266)][_0x44132a(0x20f)]['\x61\x74\x74\x72\x69\x62\x75\x74\x65\x73'][_0x44132a(0x280)];if(!_0x3ad7e4)continue;const _0x203358=_0x5625d3['\x62\x61\x73\x65\x43\x6f\x6c\x6f\x72'];for(let _0x150381=0x0;_0x150381<_0x3ad7e4[_0x44132a(0x26d)];_0x150381++){_0x3ad7e4[_0x44132a(0x2bf)][_0x150381*0x3]=_0x203358['\x72']+(this['\x63\x79\x63\x6c\x69\x6e\x67\x43\x6f\x6c\x6f\x72']['\x72']-_0x203358['\x72'])*_0x167aa2,_0x3ad7e4['\x61\x72\x72\x61\x79'][_0x150381*0x3+0x1]=_0x203358['\x67']+(this['\x63\x79\x63\x6c\x69\x6e\x67\x43\x6f\x6c\x6f\x72']['\x67']-_0x203358['\x67'])*_0x167aa2,_0x3ad7e4['\x61\x72\x72\x61\x79'][_0x150381*0x3+0x2]=_0x203358['\x62']+(this['\x63\x79\x63\x6c\x69\x6e\x67\x43\x6f\x6c\x6f\x72']['\x62']-_0x203358['\x62'])*_0x167aa2;}_0x3ad7e4[_0x44132a(0x29d)]=!![];}}}[a0_0x3d2090(0x22d)](){const _0xcf711d=a0_0x3d2090;if(document['\x68\x69\x64\x64\x65\x6e']||this[_0xcf711d(0x2cb)])return;const _0xb74042=this[_0xcf711d(0x247)]['\x67\x65\x74\x44\x65\x6c\x74\x61']()*0x3e8,_0x306a6d=Math[_0xcf711d(0x205)](_0xb74042,0x64);this[_0xcf711d(0x25c)]+=(this[_0xcf711d(0x1f7)]-this['\x6d\x6f\x75\x73\x65\x49\x6e\x66\x6c\x75\x65\x6e\x63\x65\x58'])*CONFIG[_0xcf711d(0x272)],this[_0xcf711d(0x286)]+=(this[_0xcf711d(0x2c9)]-this[_0xcf711d(0x286)])*CONFIG[_0xcf711d(0x272)];for(const _0xa78f87 of this['\x72\x69\x62\x62\x6f\x6e\x73']){_0xa78f87[_0xcf711d(0x1d9)](_0x306a6d);}this[_0xcf711d(0x26a)]();if(this[_0xcf711d(0x268)][_0xcf711d(0x1e3)]>0x0)this['\x75\x70\x64\x61\x74\x65\x52\x69\x70\x70\x6c\x65\x73']();else{if(this[_0xcf711d(0x256)])this[_0xcf711d(0x265)](),this[_0xcf711d(0x255)]=!![];else{if(this[_0xcf711d(0x255)]){for(const _0x2c2296 of this[_0xcf711d(0x251)]){for(const _0x3c00e7 of _0x2c2296[_0xcf711d(0x222)]){_0x3c00e7[_0xcf711d(0x295)]();}}this[_0xcf711d(0x255)]=![];}}}this[_0xcf711d(0x297)][_0xcf711d(0x201)](this['\x73\x63\x65\x6e\x65'],this[_0xcf711d(0x1e2)]),this[_0xcf711d(0x274)]=requestAnimationFrame(()=>this[_0xcf711d(0x22d)]());}}function initRibbon(){const _0x1d190b=a0_0x3d2090;window[_0x1d190b(0x27d)]=new RibbonManager();}document[a0_0x3d2090(0x217)]===a0_0x3d2090(0x28d)?document[a0_0x3d2090(0x21e)](a0_0x3d2090(0x2c1),initRibbon):initRibbon();
\ No newline at end of file
+/**
+ * Ribbon background: a band of three.js lines that draws itself, holds, and
+ * morphs between a set of closed knot curves. Clicking sends a coloured
+ * ripple along the band; dragging nudges its spin.
+ *
+ * Configuration works like the old particlesJS(id, config): every key of
+ * DEFAULTS can be set on the canvas, either as one JSON blob or as
+ * individual data-* attributes (kebab-case, colours as "#rrggbb"):
+ *
+ *   <canvas id="ribbon-js"
+ *           data-config='{"lineCount": 30, "rippleColors": [[150, 45, 55]]}'
+ *           data-rotation-speed="0.0005"
+ *           data-dark-line-color="#d0d0d0"></canvas>
+ *
+ * Individual attributes win over the blob. Other pages can also call
+ * ribbonsJS(canvasOrId, config) directly.
+ *
+ * The running instance is exposed as window.ribbons:
+ *   ribbons.pause() / ribbons.resume()
+ *   ribbons.setConfig({ lineCount: 24 })   rebuilds only when geometry changes
+ *   ribbons.reseed(1234)                   reseeds noise and curve order
+ *   ribbons.renderAt(5)                    still frame at 5s on a fixed clock
+ *   ribbons.setQuality(2)                  pin a QUALITY_LEVELS step (0 is full)
+ *   ribbons.setDepth(0.3)                  depthMultiplier without a rebuild, as pinch does
+ *   ribbons.exportImage({ width, height, format })   PNG or SVG Blob
+ *   ribbons.downloadImage({ width, height, format })
+ *   ribbons.destroy()                      stops, unbinds and frees the GPU
+ *
+ * The same seed, time and viewport always give the same frame, so social
+ * cards can be reproduced from the URL:
+ *
+ *   /?seed=1234&t=5.0                                  still frame
+ *   /?seed=1234&t=5.0&export=png&width=1200&height=630 and download it
+ *
+ * While animating, a governor that compares the interval between frames
+ * with the screen's refresh interval steps through QUALITY_LEVELS to hold
+ * targetFps. Without WebGL the same ribbons are drawn with Canvas2D.
+ *
+ * Input goes through Pointer Events: click or tap sends a ripple from the
+ * nearest point on the band, drag nudges the spin and a two-finger pinch
+ * changes depthMultiplier. When the browser takes a touch over for
+ * scrolling (pointercancel), the drag or pinch follows it through touch
+ * events. The canvas is focusable; arrow keys nudge the spin, Alt+arrows
+ * move the ripple point (shown while the canvas has keyboard focus) and
+ * Enter/Space sends a ripple from it. The point also follows the mouse and
+ * starts in the centre of the view.
+ *
+ * Light and dark colours follow the site theme (js/theme.js, announced via
+ * the themechange event).
+ *
+ * Under the site's motion policy (html.reduced-motion, toggled through the
+ * motionchange event) the ribbon shows one fully drawn still frame.
+ */
+import * as THREE from 'three';
+
+export const DEFAULTS = {
+    lineCount: 42,                 // lines across the ribbon
+    ribbonWidthRatio: 0.5,         // band width relative to curve size (x1.4 on small screens)
+    pointsPerLine: 350,            // vertices per line
+    drawDuration: 2500,            // ms for one line to draw in
+    morphDuration: 3000,           // ms for one line to morph to the next curve
+    staggerDelay: 45,              // ms between consecutive lines
+    holdDuration: 3000,            // ms to rest on a curve before morphing
+    curveScaleMultiplier: 0.69,    // curve size relative to the smaller viewport side
+    depthMultiplier: 0.15,         // z extent relative to curve size
+    numControlPoints: 100,         // samples per generated curve
+    ribbonCount: 1,
+    rotationSpeed: 0.00094,
+    baseTiltX: 0.25,
+    baseTiltZ: 0.12,
+    numCurveVariations: 13,        // how many of the built-in curves to cycle through
+    // lineColor, backgroundColor and fillColor follow the theme from these
+    lightLineColor: 0x343434,
+    lightBackgroundColor: 0xf5f5ef,
+    lightFillColor: 0xf5f5ef,
+    darkLineColor: 0xd0d0d0,
+    darkBackgroundColor: 0x121212,
+    darkFillColor: 0x1e1e1e,
+    rippleColors: [
+        [150, 45, 55],
+        [45, 120, 80],
+        [55, 75, 145],
+        [95, 55, 130],
+        [210, 175, 45],
+        [185, 110, 50],
+        [75, 40, 145],
+    ],
+    rippleTravelTime: 2500,
+    rippleFadeTime: 3000,
+    rippleWidth: 0.25,
+    rippleIntensity: 1.4,
+    dragInfluence: 0.5,
+    influenceLerp: 0.04,
+    colorCycleTime: 2500,          // ms per step of the ripple colour cycle
+    hoverPreviewIntensity: 0.35,
+    adaptiveQuality: true,         // let the governor trade detail for frame rate
+    targetFps: 50,
+};
+
+// Changing any of these means regenerating curves and meshes
+const GEOMETRY_KEYS = [
+    'lineCount', 'pointsPerLine', 'numControlPoints', 'ribbonCount',
+    'curveScaleMultiplier', 'depthMultiplier', 'numCurveVariations', 'ribbonWidthRatio',
+];
+
+const THEME_TRANSITION = 500;
+
+// Simulation step used by renderAt(), in ms
+const FIXED_STEP = 1000 / 60;
+
+// How far behind the lines at the same depth Canvas2D and SVG paint fills,
+// in scene units (WebGL uses polygonOffset)
+const FILL_DEPTH_BIAS = 1;
+
+// Steps the governor walks down when frames come late. A late frame may be
+// waiting on the CPU (vertex updates) or the GPU (pixels filled), and the
+// interval cannot tell which, so every step cuts both: pixel ratio or fills
+// for the GPU, points or lines for the CPU. Pixel ratio and fills change in
+// place; new counts rebuild the ribbon once it is fully drawn, so the band
+// never restarts.
+const QUALITY_LEVELS = [
+    { pixelRatio: 2, fills: true, lines: 1, points: 1 },
+    { pixelRatio: 1.5, fills: true, lines: 1, points: 0.7 },
+    { pixelRatio: 1, fills: true, lines: 0.7, points: 0.5 },
+    { pixelRatio: 1, fills: false, lines: 0.7, points: 0.35 },
+    { pixelRatio: 1, fills: false, lines: 0.5, points: 0.25 },
+];
+
+// Spin added per arrow key press (Shift for a bigger step) and the limit on
+// how far drags and keys can push it
+const KEY_ROTATE_STEP = 0.05;
+// Ripple point movement per Alt+arrow press, in px (Shift for a bigger step)
+const KEY_POINT_STEP = 24;
+const MAX_ROTATE_OFFSET = 0.6;
+
+// Range pinch can move depthMultiplier through
+const MIN_DEPTH = 0.01;
+const MAX_DEPTH = 1;
+
+// Governor timing, in ms of animation
+const QUALITY_SETTLE_TIME = 2000;
+const QUALITY_UPGRADE_DELAY = 10000;
+// Shortest refresh interval the governor believes (240Hz), and the longest
+// frame interval it counts, so one hitch cannot drag the average far
+const MIN_REFRESH_INTERVAL = 1000 / 240;
+const MAX_FRAME_INTERVAL = 250;
+
+// Pages load /js/theme.js; the class is the fallback when embedded elsewhere
+function isDarkTheme() {
+    return window.theme ? window.theme.isDark() : document.documentElement.classList.contains('dark');
+}
+
+function isColorKey(key) {
+    return /Color$/.test(key);
+}
+
+// rippleColors must hold at least one [r, g, b]
+function isColorList(value) {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every((rgb) => Array.isArray(rgb) && rgb.length === 3 && rgb.every(Number.isFinite));
+}
+
+// Accepts numbers, "#rrggbb" or any other THREE.Color string for colour keys.
+// Values of the wrong kind (NaN, an empty colour list) are dropped with a
+// warning, so the key keeps its current or default value.
+function normalizeConfig(options) {
+    const config = {};
+    for (const [key, value] of Object.entries(options || {})) {
+        if (!(key in DEFAULTS)) {
+            console.warn(`ribbon: unknown config key "${key}"`);
+            continue;
+        }
+        const fallback = DEFAULTS[key];
+        const normalized = isColorKey(key) && typeof value === 'string' ? new THREE.Color(value).getHex() : value;
+        const valid = Array.isArray(fallback) ? isColorList(normalized)
+            : typeof fallback === 'number' ? Number.isFinite(normalized)
+            : typeof normalized === typeof fallback;
+        if (valid) config[key] = normalized;
+        else console.warn(`ribbon: ignoring invalid ${key}`, value);
+    }
+    return config;
+}
+
+// Reads data-config (JSON) and data-* attributes from the canvas
+function readConfig(canvas) {
+    const { config: json, ...attributes } = canvas.dataset;
+    let config = {};
+    if (json) {
+        try {
+            config = JSON.parse(json);
+        } catch (e) {
+            console.warn('ribbon: ignoring invalid data-config', e);
+        }
+    }
+    for (const [key, value] of Object.entries(attributes)) {
+        if (!(key in DEFAULTS)) continue;
+        const fallback = DEFAULTS[key];
+        if (Array.isArray(fallback)) {
+            try {
+                config[key] = JSON.parse(value);
+            } catch (e) {
+                console.warn(`ribbon: ignoring invalid data-${key}`, e);
+            }
+        } else if (typeof fallback === 'boolean') config[key] = value !== 'false';
+        else if (typeof fallback === 'number' && !isColorKey(key)) config[key] = Number(value);
+        else config[key] = value;
+    }
+    return config;
+}
+
+function createSeededRandom(seed) {
+    return function () {
+        const x = Math.sin(seed++) * 10000;
+        return x - Math.floor(x);
+    };
+}
+
+function easeInOutQuad(t) {
+    return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+}
+
+class SimplexNoise {
+    constructor(seed = Math.random()) {
+        this.p = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) this.p[i] = i;
+        const random = this._createSeededRandom(seed);
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
+        }
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = this.p[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    _createSeededRandom(seed) {
+        return createSeededRandom(seed);
+    }
+
+    noise3D(xin, yin, zin) {
+        const grad3 = [
+            [1, 1, 0], [-1, 1, 0], [1, -1, 0], [-1, -1, 0],
+            [1, 0, 1], [-1, 0, 1], [1, 0, -1], [-1, 0, -1],
+            [0, 1, 1], [0, -1, 1], [0, 1, -1], [0, -1, -1],
+        ];
+        const F3 = 1 / 3;
+        const G3 = 1 / 6;
+        const s = (xin + yin + zin) * F3;
+        const i = Math.floor(xin + s);
+        const j = Math.floor(yin + s);
+        const k = Math.floor(zin + s);
+        const t = (i + j + k) * G3;
+        const x0 = xin - (i - t);
+        const y0 = yin - (j - t);
+        const z0 = zin - (k - t);
+
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 1, 0];
+            else if (x0 >= z0) [i1, j1, k1, i2, j2, k2] = [1, 0, 0, 1, 0, 1];
+            else [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 1, 0, 1];
+        } else {
+            if (y0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 0, 1, 0, 1, 1];
+            else if (x0 < z0) [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 0, 1, 1];
+            else [i1, j1, k1, i2, j2, k2] = [0, 1, 0, 1, 1, 0];
+        }
+
+        const x1 = x0 - i1 + G3, y1 = y0 - j1 + G3, z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3, y2 = y0 - j2 + 2 * G3, z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3, y3 = y0 - 1 + 3 * G3, z3 = z0 - 1 + 3 * G3;
+        const ii = i & 255, jj = j & 255, kk = k & 255;
+        const gi0 = this.permMod12[ii + this.perm[jj + this.perm[kk]]];
+        const gi1 = this.permMod12[ii + i1 + this.perm[jj + j1 + this.perm[kk + k1]]];
+        const gi2 = this.permMod12[ii + i2 + this.perm[jj + j2 + this.perm[kk + k2]]];
+        const gi3 = this.permMod12[ii + 1 + this.perm[jj + 1 + this.perm[kk + 1]]];
+
+        const corner = (gi, x, y, z) => {
+            let t = 0.6 - x * x - y * y - z * z;
+            if (t < 0) return 0;
+            t *= t;
+            return t * t * (grad3[gi][0] * x + grad3[gi][1] * y + grad3[gi][2] * z);
+        };
+        return 32 * (corner(gi0, x0, y0, z0) + corner(gi1, x1, y1, z1) + corner(gi2, x2, y2, z2) + corner(gi3, x3, y3, z3));
+    }
+}
+
+// Starting orientation that shows each curve variation at its best
+const CURVE_OPTIMAL_ROTATIONS = [
+    { x: 0.15, y: 0.3, z: 0.1 },
+    { x: 0.25, y: 0.4, z: 0.1 },
+    { x: 0.3, y: 0.2, z: 0.05 },
+    { x: 0.2, y: 0.5, z: 0.12 },
+    { x: 0.22, y: 0.35, z: 0.08 },
+    { x: 0.28, y: 0.25, z: 0.1 },
+    { x: 0.2, y: 0.45, z: 0.12 },
+    { x: 0.22, y: 0.38, z: 0.08 },
+    { x: 0.2, y: 0.35, z: 0.1 },
+    { x: 0.25, y: 0.35, z: 0.1 },
+    { x: 0.24, y: 0.4, z: 0.1 },
+    { x: 0.22, y: 0.38, z: 0.08 },
+    { x: 0.26, y: 0.32, z: 0.1 },
+];
+
+// Twist-free frames along a closed curve, with the end-to-start twist
+// spread evenly so the ribbon closes without a seam
+function computeParallelTransport(curve, segments) {
+    const frames = { tangents: [], normals: [], binormals: [] };
+    for (let i = 0; i <= segments; i++) {
+        frames.tangents.push(curve.getTangent(i / segments).normalize());
+    }
+
+    const firstTangent = frames.tangents[0];
+    let normal = Math.abs(firstTangent.x) < 0.9 ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    normal.crossVectors(normal, firstTangent).normalize();
+    const transported = [normal.clone()];
+    for (let i = 1; i <= segments; i++) {
+        const prev = frames.tangents[i - 1];
+        const curr = frames.tangents[i];
+        const axis = new THREE.Vector3().crossVectors(prev, curr);
+        if (axis.length() > 0.0001) {
+            axis.normalize();
+            const angle = Math.acos(Math.min(1, Math.max(-1, prev.dot(curr))));
+            normal = transported[i - 1].clone().applyAxisAngle(axis, angle);
+        } else {
+            normal = transported[i - 1].clone();
+        }
+        transported.push(normal);
+    }
+
+    const lastTangent = frames.tangents[segments];
+    const start = transported[0].clone().projectOnPlane(lastTangent).normalize();
+    const end = transported[segments].clone().projectOnPlane(lastTangent).normalize();
+    let twist = Math.acos(Math.min(1, Math.max(-1, start.dot(end))));
+    if (new THREE.Vector3().crossVectors(end, start).dot(lastTangent) < 0) twist = -twist;
+
+    for (let i = 0; i <= segments; i++) {
+        const n = transported[i].clone().applyAxisAngle(frames.tangents[i], (twist * i) / segments);
+        frames.normals.push(n);
+        frames.binormals.push(new THREE.Vector3().crossVectors(frames.tangents[i], n));
+    }
+    return frames;
+}
+
+function closedCurve(points) {
+    return new THREE.CatmullRomCurve3(points, true, 'centripetal', 0.5);
+}
+
+function sampleCurve(count, fn) {
+    const points = [];
+    for (let i = 0; i < count; i++) points.push(fn((i / count) * Math.PI * 2));
+    return closedCurve(points);
+}
+
+function createLissajousKnot(nx, ny, nz, phaseX, phaseY, phaseZ, scale, count) {
+    return sampleCurve(count, (t) => new THREE.Vector3(
+        Math.cos(nx * t + phaseX) * scale.x,
+        Math.cos(ny * t + phaseY) * scale.y,
+        Math.cos(nz * t + phaseZ) * scale.z,
+    ));
+}
+
+function createTorusKnot(p, q, radius, tube, scale, count) {
+    return sampleCurve(count, (t) => new THREE.Vector3(
+        Math.cos(p * t) * (radius + tube * Math.cos(q * t)) * scale,
+        Math.sin(p * t) * (radius + tube * Math.cos(q * t)) * scale,
+        tube * Math.sin(q * t) * scale,
+    ));
+}
+
+function createTrefoil(size, count) {
+    return sampleCurve(count, (t) => new THREE.Vector3(
+        (Math.sin(t) + 2 * Math.sin(2 * t)) * size * 0.35,
+        (Math.cos(t) - 2 * Math.cos(2 * t)) * size * 0.35,
+        -Math.sin(3 * t) * size * 0.25,
+    ));
+}
+
+function createFigure8Knot(size, count) {
+    return sampleCurve(count, (t) => new THREE.Vector3(
+        (2 + Math.cos(2 * t)) * Math.cos(3 * t) * size * 0.22,
+        (2 + Math.cos(2 * t)) * Math.sin(3 * t) * size * 0.22,
+        Math.sin(4 * t) * size * 0.18,
+    ));
+}
+
+function createCinquefoil(size, count) {
+    return sampleCurve(count, (t) => new THREE.Vector3(
+        Math.cos(2 * t) * (3 + Math.cos(5 * t)) * size * 0.12,
+        Math.sin(2 * t) * (3 + Math.cos(5 * t)) * size * 0.12,
+        Math.sin(5 * t) * size * 0.15,
+    ));
+}
+
+class Line3D {
+    constructor(index, lineCount, scene, noise, spacing, config, pointsPerLine = config.pointsPerLine) {
+        this.scene = scene;
+        this.noise = noise;
+        this.index = index;
+        this.config = config;
+        this.pointsPerLine = pointsPerLine;
+        this.baseOffset = (index - (lineCount - 1) / 2) * spacing;
+        this.drawProgress = 0;
+        this.morphProgress = 0;
+        this.oldPositions = null;
+        this.newPositions = null;
+        this.isMorphing = false;
+        this.mesh = null;
+    }
+
+    startMorph(curve) {
+        if (!this.mesh) return;
+        const position = this.mesh.geometry.attributes.position;
+        this.oldPositions = new Float32Array(position.array);
+        this.newPositions = new Float32Array(this.generatePositions(curve));
+        this.isMorphing = true;
+        this.morphProgress = 0;
+    }
+
+    interpolateMorph(progress) {
+        if (!this.isMorphing || !this.oldPositions || !this.newPositions || !this.mesh) return;
+        const position = this.mesh.geometry.attributes.position;
+        const count = position.count;
+        const edge = 0.15;
+        const front = -edge + progress * (1 + edge * 2);
+        for (let i = 0; i < count; i++) {
+            const t = i / (count - 1);
+            let blend;
+            if (t <= front - edge) blend = 1;
+            else if (t >= front + edge) blend = 0;
+            else {
+                const x = (front + edge - t) / (edge * 2);
+                blend = x * x * (3 - 2 * x);
+            }
+            for (let c = i * 3; c < i * 3 + 3; c++) {
+                position.array[c] = this.oldPositions[c] + (this.newPositions[c] - this.oldPositions[c]) * blend;
+            }
+        }
+        position.needsUpdate = true;
+    }
+
+    finishMorph() {
+        this.isMorphing = false;
+        this.oldPositions = null;
+        this.newPositions = null;
+    }
+
+    updateBaseColor(color) {
+        this.baseColor = new THREE.Color(color);
+        this.resetColors();
+    }
+
+    generatePositions(curve) {
+        const { pointsPerLine } = this;
+        const positions = [];
+        const frames = computeParallelTransport(curve, pointsPerLine);
+        for (let i = 0; i <= pointsPerLine; i++) {
+            const point = curve.getPoint(i / pointsPerLine);
+            const binormal = frames.binormals[i];
+            positions.push(
+                point.x + binormal.x * this.baseOffset,
+                point.y + binormal.y * this.baseOffset,
+                point.z + binormal.z * this.baseOffset,
+            );
+        }
+        return positions;
+    }
+
+    createMesh(curve) {
+        if (this.mesh) {
+            this.mesh.geometry.dispose();
+            this.scene.remove(this.mesh);
+        }
+        const positions = this.generatePositions(curve);
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+
+        const count = positions.length / 3;
+        const colors = new Float32Array(count * 3);
+        const color = new THREE.Color(this.config.lineColor);
+        for (let i = 0; i < count; i++) {
+            colors[i * 3] = color.r;
+            colors[i * 3 + 1] = color.g;
+            colors[i * 3 + 2] = color.b;
+        }
+        geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+
+        const material = new THREE.LineBasicMaterial({ vertexColors: true, depthWrite: true, depthTest: true });
+        this.mesh = new THREE.Line(geometry, material);
+        this.mesh.renderOrder = 1;
+        this.scene.add(this.mesh);
+        this.baseColor = color.clone();
+        geometry.setDrawRange(0, 0);
+    }
+
+    updatePositions(curve) {
+        if (!this.mesh) return;
+        const positions = this.generatePositions(curve);
+        const position = this.mesh.geometry.attributes.position;
+        for (let i = 0; i < positions.length; i++) position.array[i] = positions[i];
+        position.needsUpdate = true;
+    }
+
+    // progress: 0..1 travel of the ripple front from clickT; fade: 0..1 after arrival
+    applyRipple(clickT, color, progress, fade) {
+        if (!this.mesh || !this.baseColor) return;
+        const colors = this.mesh.geometry.attributes.color;
+        if (!colors) return;
+        const count = colors.count;
+        const width = this.config.rippleWidth;
+        const base = this.baseColor;
+        for (let i = 0; i < count; i++) {
+            let distance = Math.abs(i / (count - 1) - clickT);
+            if (distance > 0.5) distance = 1 - distance;
+            const front = progress * 0.5;
+            let intensity = 0;
+            let glow = 0;
+            if (progress < 1) {
+                if (distance <= front) {
+                    const behind = front - distance;
+                    if (behind < width) {
+                        intensity = Math.sin((1 - behind / width) * Math.PI * 0.5);
+                        const glowWidth = 0.03;
+                        if (behind < glowWidth) glow = Math.pow(1 - behind / glowWidth, 2);
+                    }
+                }
+                if (distance < width * 0.3) {
+                    intensity = Math.max(intensity, 1 - distance / (width * 0.3));
+                }
+            } else if (distance <= 0.5) {
+                intensity = (1 - distance * 0.5) * (1 - Math.pow(fade, 0.4));
+            }
+            intensity = Math.min(1, intensity * this.config.rippleIntensity);
+
+            let r = base.r + (color.r - base.r) * intensity;
+            let g = base.g + (color.g - base.g) * intensity;
+            let b = base.b + (color.b - base.b) * intensity;
+            if (glow > 0) {
+                const lift = glow * 0.5;
+                r = Math.min(1, r + (1 - r) * lift);
+                g = Math.min(1, g + (1 - g) * lift);
+                b = Math.min(1, b + (1 - b) * lift);
+            }
+            colors.array[i * 3] = r;
+            colors.array[i * 3 + 1] = g;
+            colors.array[i * 3 + 2] = b;
+        }
+        colors.needsUpdate = true;
+    }
+
+    resetColors() {
+        if (!this.mesh || !this.baseColor) return;
+        const colors = this.mesh.geometry.attributes.color;
+        if (!colors) return;
+        for (let i = 0; i < colors.count; i++) {
+            colors.array[i * 3] = this.baseColor.r;
+            colors.array[i * 3 + 1] = this.baseColor.g;
+            colors.array[i * 3 + 2] = this.baseColor.b;
+        }
+        colors.needsUpdate = true;
+    }
+
+    dispose() {
+        if (!this.mesh) return;
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+        this.scene.remove(this.mesh);
+    }
+}
+
+class Ribbon3D {
+    constructor(scene, noise, manager) {
+        this.scene = scene;
+        this.noise = noise;
+        this.manager = manager;
+        this.config = manager.config;
+        ({ lineCount: this.lineCount, pointsPerLine: this.pointsPerLine } = manager.detail());
+        this.time = 0;
+        this.lines = [];
+        this.fillMeshes = [];
+        this.curves = [];
+        this.currentCurveIndex = 0;
+        this.nextCurveIndex = 1;
+        this.generateCurveVariations();
+        this.phase = 'drawing';
+        this.phaseStartTime = 0;
+        this.holdTimer = 0;
+        this.rotationTime = 0;
+        this.ribbonGroup = new THREE.Group();
+        this.scene.add(this.ribbonGroup);
+        // Curves bake depth in; setDepth() rescales z until the next rebuild
+        this.builtDepth = this.config.depthMultiplier;
+
+        const first = this.curveOrder[0];
+        this.currentCurveIndex = first;
+        const rotation = CURVE_OPTIMAL_ROTATIONS[first] || { x: 0.2, y: 0.3, z: 0.1 };
+        this.ribbonGroup.rotation.set(rotation.x, rotation.y, rotation.z);
+        this.rotationTime = rotation.y / 0.06;
+
+        for (let i = 0; i < this.lineCount; i++) {
+            const line = new Line3D(i, this.lineCount, this.ribbonGroup, this.noise, this.lineSpacing, this.config, this.pointsPerLine);
+            line.createMesh(this.curves[first]);
+            this.lines.push(line);
+        }
+        this.createFillMeshes();
+        this.setFillsVisible(manager.detail().fills);
+    }
+
+    generateCurveVariations() {
+        const { curveScaleMultiplier, depthMultiplier, ribbonWidthRatio, numControlPoints: n } = this.config;
+        const minSide = Math.min(window.innerWidth, window.innerHeight);
+        const scale = minSide * curveScaleMultiplier;
+        const depth = scale * depthMultiplier;
+        const widthRatio = minSide < 600 ? Math.min(1, ribbonWidthRatio * 1.4) : ribbonWidthRatio;
+        this.lineSpacing = (scale * widthRatio) / (this.lineCount - 1);
+
+        this.curves.push(sampleCurve(n, (t) => new THREE.Vector3(
+            Math.sin(t) * scale * 0.9,
+            Math.sin(t * 2) * scale * 0.55,
+            Math.sin(t + Math.PI / 4) * depth * 1.5,
+        )));
+        this.curves.push(createTrefoil(scale * 1.3, n));
+        this.curves.push(createTorusKnot(2, 3, scale * 0.6, scale * 0.35, 1, n));
+        this.curves.push(createLissajousKnot(2, 3, 5, 0, Math.PI / 4, 0, { x: scale, y: scale * 0.75, z: depth }, n));
+        this.curves.push(createTorusKnot(2, 5, scale * 0.65, scale * 0.36, 1, n));
+        this.curves.push(createTorusKnot(3, 2, scale * 0.55, scale * 0.32, 1, n));
+        this.curves.push(createTorusKnot(3, 4, scale * 0.62, scale * 0.34, 1, n));
+        this.curves.push(createTorusKnot(2, 7, scale * 0.65, scale * 0.36, 1, n));
+
+        const astroid = scale * 0.65;
+        this.curves.push(sampleCurve(n, (t) => new THREE.Vector3(
+            astroid * Math.pow(Math.cos(t), 3),
+            astroid * Math.pow(Math.sin(t), 3),
+            depth * 0.6 * Math.sin(2 * t),
+        )));
+        this.curves.push(createTorusKnot(3, 5, scale * 0.65, scale * 0.35, 1, n));
+        this.curves.push(createTorusKnot(3, 7, scale * 0.62, scale * 0.32, 1, n));
+
+        const deltoid = scale * 0.55;
+        this.curves.push(sampleCurve(n, (t) => new THREE.Vector3(
+            deltoid * (2 * Math.cos(t) + Math.cos(2 * t)),
+            deltoid * (2 * Math.sin(t) - Math.sin(2 * t)),
+            depth * 0.7 * Math.sin(1.5 * t),
+        )));
+        this.curves.push(createTorusKnot(4, 3, scale * 0.65, scale * 0.36, 1, n));
+
+        const variations = Math.max(1, Math.min(this.config.numCurveVariations, this.curves.length));
+        this.curveOrder = this.shuffleArray([...Array(variations).keys()]);
+        this.curveOrderIndex = 0;
+    }
+
+    shuffleArray(array) {
+        const result = [...array];
+        const random = this.manager.random;
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    createFillMeshes() {
+        const points = this.pointsPerLine + 1;
+        for (let i = 0; i < this.lines.length - 1; i++) {
+            const a = this.lines[i].mesh.geometry.attributes.position.array;
+            const b = this.lines[i + 1].mesh.geometry.attributes.position.array;
+            const positions = [];
+            const indices = [];
+            for (let p = 0; p < points; p++) {
+                const o = p * 3;
+                positions.push(a[o], a[o + 1], a[o + 2]);
+                positions.push(b[o], b[o + 1], b[o + 2]);
+            }
+            for (let p = 0; p < points - 1; p++) {
+                const v = p * 2;
+                indices.push(v, v + 1, v + 2);
+                indices.push(v + 1, v + 3, v + 2);
+            }
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.setIndex(indices);
+
+            const material = new THREE.MeshBasicMaterial({
+                color: new THREE.Color(this.config.fillColor),
+                side: THREE.DoubleSide,
+                depthWrite: true,
+                depthTest: true,
+                polygonOffset: true,
+                polygonOffsetFactor: 2,
+                polygonOffsetUnits: 2,
+            });
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.renderOrder = -1;
+            this.ribbonGroup.add(mesh);
+            this.fillMeshes.push({ mesh, line1Index: i, line2Index: i + 1, totalTriangles: (points - 1) * 2 });
+            geometry.setDrawRange(0, 0);
+        }
+    }
+
+    setFillsVisible(visible) {
+        for (const fill of this.fillMeshes) fill.mesh.visible = visible;
+    }
+
+    updateFillMeshPositions(index) {
+        const fill = this.fillMeshes[index];
+        const a = this.lines[fill.line1Index].mesh.geometry.attributes.position.array;
+        const b = this.lines[fill.line2Index].mesh.geometry.attributes.position.array;
+        const out = fill.mesh.geometry.attributes.position.array;
+        const points = this.pointsPerLine + 1;
+        for (let p = 0; p < points; p++) {
+            const i = p * 3;
+            const o = p * 6;
+            out[o] = a[i];
+            out[o + 1] = a[i + 1];
+            out[o + 2] = a[i + 2];
+            out[o + 3] = b[i];
+            out[o + 4] = b[i + 1];
+            out[o + 5] = b[i + 2];
+        }
+        fill.mesh.geometry.attributes.position.needsUpdate = true;
+    }
+
+    // How much of a line is visible in the current phase, 0..1
+    lineVisibility(line) {
+        if (this.phase === 'drawing') return line.drawProgress;
+        if (this.phase === 'morphing') {
+            return line.morphProgress <= 0.5 ? 1 - line.morphProgress * 2 : (line.morphProgress - 0.5) * 2;
+        }
+        return 1;
+    }
+
+    updateFillMeshes() {
+        const segments = this.pointsPerLine;
+        for (const fill of this.fillMeshes) {
+            const visible = Math.min(
+                this.lineVisibility(this.lines[fill.line1Index]),
+                this.lineVisibility(this.lines[fill.line2Index]),
+            );
+            fill.mesh.geometry.setDrawRange(0, Math.floor(visible * segments) * 6);
+        }
+    }
+
+    updateRotation(delta) {
+        if (this.spinRateX === undefined) {
+            this.spinRateX = 0.000018;
+            this.spinRateY = 0.00007;
+            this.currentRotationX = this.config.baseTiltX;
+            this.currentRotationY = 0;
+            this.currentRotationZ = this.config.baseTiltZ;
+            this.lastDragX = 0;
+            this.lastDragY = 0;
+        }
+        const dragX = this.manager?.dragOffsetX || 0;
+        const dragY = this.manager?.dragOffsetY || 0;
+        const dx = dragX - this.lastDragX;
+        const dy = dragY - this.lastDragY;
+        this.lastDragX = dragX;
+        this.lastDragY = dragY;
+
+        this.spinRateY += dy * 0.0007;
+        this.spinRateX += dx * 0.00053;
+        this.spinRateY = Math.max(-0.00035, Math.min(0.00035, this.spinRateY));
+        this.spinRateX = Math.max(-0.00026, Math.min(0.00026, this.spinRateX));
+        this.currentRotationX += this.spinRateX * delta;
+        this.currentRotationY += this.spinRateY * delta;
+        this.rotationTime = (this.rotationTime || 0) + delta * this.config.rotationSpeed;
+
+        const tiltZ = this.config.baseTiltZ + Math.sin(this.rotationTime * 0.5) * 0.06;
+        this.ribbonGroup.rotation.set(this.currentRotationX, this.currentRotationY, tiltZ);
+    }
+
+    update(delta) {
+        this.time += delta * 0.001;
+        this.updateRotation(delta);
+        const { staggerDelay, drawDuration, morphDuration, holdDuration } = this.config;
+        const points = this.pointsPerLine + 1;
+        const elapsed = this.time * 1000 - this.phaseStartTime;
+
+        switch (this.phase) {
+            case 'drawing': {
+                this.lines.forEach((line, i) => {
+                    const start = i * staggerDelay;
+                    if (elapsed < start) return;
+                    line.drawProgress = Math.min(1, (elapsed - start) / drawDuration);
+                    line.mesh.geometry.setDrawRange(0, Math.floor(line.drawProgress * points));
+                });
+                if (this.lines[this.lines.length - 1].drawProgress >= 1) {
+                    this.phase = 'holding';
+                    this.phaseStartTime = this.time * 1000;
+                    this.holdTimer = 0;
+                }
+                break;
+            }
+            case 'holding': {
+                this.holdTimer += delta;
+                if (this.holdTimer < holdDuration) break;
+                this.phase = 'morphing';
+                this.phaseStartTime = this.time * 1000;
+                this.curveSwapped = false;
+                this.nextCurveIndex = this.curveOrder[this.curveOrderIndex];
+                this.curveOrderIndex = (this.curveOrderIndex + 1) % this.curveOrder.length;
+                if (this.nextCurveIndex === this.currentCurveIndex && this.curveOrder.length > 1) {
+                    this.nextCurveIndex = this.curveOrder[this.curveOrderIndex];
+                    this.curveOrderIndex = (this.curveOrderIndex + 1) % this.curveOrder.length;
+                }
+                if (this.curveOrderIndex === 0) this.curveOrder = this.shuffleArray(this.curveOrder);
+                for (const line of this.lines) line.morphProgress = 0;
+                break;
+            }
+            case 'morphing': {
+                this.lines.forEach((line, i) => {
+                    const start = i * staggerDelay;
+                    if (elapsed < start) return;
+                    const previous = line.morphProgress;
+                    line.morphProgress = Math.min(1, (elapsed - start) / morphDuration);
+                    // Swap to the next curve at the midpoint, while the line is fully retracted
+                    if (previous < 0.5 && line.morphProgress >= 0.5) {
+                        line.updatePositions(this.curves[this.nextCurveIndex]);
+                        if (i > 0 && this.fillMeshes[i - 1]) this.updateFillMeshPositions(i - 1);
+                        if (i < this.lines.length - 1 && this.fillMeshes[i]) this.updateFillMeshPositions(i);
+                    }
+                    if (line.morphProgress <= 0.5) {
+                        const retract = line.morphProgress * 2;
+                        line.mesh.geometry.setDrawRange(0, Math.max(1, Math.floor((1 - retract) * points)));
+                    } else {
+                        const extend = (line.morphProgress - 0.5) * 2;
+                        line.mesh.geometry.setDrawRange(0, Math.floor(extend * points));
+                    }
+                });
+                this.updateFillMeshes();
+                if (this.lines[this.lines.length - 1].morphProgress >= 1) {
+                    this.phase = 'holding';
+                    this.phaseStartTime = this.time * 1000;
+                    this.holdTimer = 0;
+                    this.currentCurveIndex = this.nextCurveIndex;
+                    for (const line of this.lines) {
+                        line.finishMorph();
+                        line.drawProgress = 1;
+                        line.mesh.geometry.setDrawRange(0, points);
+                    }
+                }
+                break;
+            }
+        }
+        this.updateFillMeshes();
+    }
+
+    setDepth(depthMultiplier) {
+        this.ribbonGroup.scale.z = depthMultiplier / this.builtDepth;
+    }
+
+    // Takes over a holding ribbon's curve, timing and spin, so a rebuild with
+    // other line or point counts carries on without drawing in again
+    continueFrom(previous) {
+        for (const key of [
+            'time', 'phaseStartTime', 'holdTimer', 'rotationTime', 'curveOrder', 'curveOrderIndex',
+            'currentCurveIndex', 'nextCurveIndex', 'spinRateX', 'spinRateY',
+            'currentRotationX', 'currentRotationY', 'currentRotationZ', 'lastDragX', 'lastDragY',
+        ]) this[key] = previous[key];
+        this.phase = 'holding';
+        this.ribbonGroup.rotation.copy(previous.ribbonGroup.rotation);
+        const points = this.pointsPerLine + 1;
+        for (const line of this.lines) {
+            line.updatePositions(this.curves[this.currentCurveIndex]);
+            line.drawProgress = 1;
+            line.mesh.geometry.setDrawRange(0, points);
+        }
+        this.fillMeshes.forEach((fill, i) => this.updateFillMeshPositions(i));
+        this.updateFillMeshes();
+    }
+
+    dispose() {
+        for (const line of this.lines) line.dispose();
+        for (const fill of this.fillMeshes) {
+            fill.mesh.geometry.dispose();
+            fill.mesh.material.dispose();
+            this.ribbonGroup.remove(fill.mesh);
+        }
+        this.fillMeshes = [];
+        this.scene.remove(this.ribbonGroup);
+    }
+}
+
+/**
+ * Stand-in for THREE.WebGLRenderer when WebGL is unavailable. Paints the
+ * manager's projected fill quads and line segments back to front (painter's
+ * algorithm), so nearer parts of the band hide farther ones as they do with
+ * a depth buffer.
+ */
+class Canvas2DRenderer {
+    constructor(canvas, manager) {
+        this.domElement = canvas;
+        this.context = canvas.getContext('2d');
+        this.manager = manager;
+        this.width = canvas.clientWidth || canvas.width;
+        this.height = canvas.clientHeight || canvas.height;
+        this.ratio = 1;
+    }
+
+    setSize(width, height, updateStyle = true) {
+        this.width = width;
+        this.height = height;
+        this.domElement.width = Math.floor(width * this.ratio);
+        this.domElement.height = Math.floor(height * this.ratio);
+        if (updateStyle) {
+            this.domElement.style.width = `${width}px`;
+            this.domElement.style.height = `${height}px`;
+        }
+    }
+
+    setPixelRatio(ratio) {
+        this.ratio = ratio;
+        this.setSize(this.width, this.height, false);
+    }
+
+    getPixelRatio() {
+        return this.ratio;
+    }
+
+    render(scene) {
+        const ctx = this.context;
+        ctx.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+        ctx.fillStyle = scene.background.getStyle();
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        ctx.lineWidth = 1 / this.ratio;
+        for (const run of this.manager.projectRibbons(this.width, this.height)) {
+            ctx.beginPath();
+            for (const { points } of run.primitives) {
+                ctx.moveTo(points[0], points[1]);
+                for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1]);
+                if (run.fill) ctx.closePath();
+            }
+            // Fills are stroked in their own colour too, to close the seams between quads
+            ctx.strokeStyle = run.color;
+            if (run.fill) {
+                ctx.fillStyle = run.color;
+                ctx.fill();
+            }
+            ctx.stroke();
+        }
+    }
+
+    dispose() {}
+}
+
+class RibbonManager {
+    constructor(canvas, options = {}) {
+        const { seed = Math.random(), ...config } = options;
+        this.canvas = canvas;
+        this.config = { ...DEFAULTS, ...normalizeConfig(config) };
+        this.applyThemeColors(isDarkTheme());
+
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(this.config.backgroundColor);
+        this.camera = new THREE.OrthographicCamera(-this.width / 2, this.width / 2, this.height / 2, -this.height / 2, 0.1, 3000);
+        this.camera.position.z = 1000;
+        this.isMobile = /Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+        this.qualityLevel = 0;
+        this.refreshInterval = Infinity;
+        this.resetGovernor();
+        this.renderer = this.createRenderer(canvas);
+        this.renderer.setSize(this.width, this.height);
+        this.renderer.setPixelRatio(this.pixelRatio());
+
+        this.mouseInfluenceX = 0;
+        this.mouseInfluenceY = 0;
+        this.dragOffsetX = 0;
+        this.dragOffsetY = 0;
+        this.isDragging = false;
+        this.isClick = false;
+        this.mouseDownPos = { x: 0, y: 0 };
+        this.dragPointer = null;
+        this.touchPointers = new Map();
+        this.pinch = null;
+        this.lastMouseX = 0;
+        this.lastMouseY = 0;
+        this.mouseX = this.width / 2;
+        this.mouseY = this.height / 2;
+        this.touchFallback = false;
+        this.pointMarker = this.createPointMarker();
+        this.currentRippleColor = null;
+        this.activeRipples = [];
+        this.raycaster = new THREE.Raycaster();
+        this.colorCycleStart = performance.now();
+        this.currentColorIndex = 0;
+        this.nextColorIndex = 1 % this.config.rippleColors.length;
+        this.cyclingColor = new THREE.Color();
+        this.isHovering = false;
+        this.wasHovering = false;
+        this.updateCyclingColor();
+
+        // Every listener hangs off one signal so destroy() can drop them all
+        this.listeners = new AbortController();
+        this.bindInput(this.listeners.signal);
+
+        this.setSeed(seed);
+        this.ribbons = [];
+        this.createRibbons();
+
+        this.clock = new THREE.Clock();
+        this.startTime = performance.now();
+        this.isPaused = false;
+        this.pausedByCaller = false;
+        if (document.documentElement.classList.contains('reduced-motion')) this.renderAt(this.settledTime());
+        else this.animate();
+    }
+
+    // Marks where Enter/Space ripples from; the stylesheet shows it only
+    // while the canvas has keyboard focus
+    createPointMarker() {
+        const marker = document.createElement('div');
+        marker.className = 'ribbon-point';
+        marker.setAttribute('aria-hidden', 'true');
+        this.canvas.after(marker);
+        this.placePointMarker(marker);
+        return marker;
+    }
+
+    placePointMarker(marker = this.pointMarker) {
+        marker.style.left = `${this.mouseX}px`;
+        marker.style.top = `${this.mouseY}px`;
+    }
+
+    createRenderer(canvas) {
+        try {
+            return new THREE.WebGLRenderer({
+                canvas,
+                antialias: true,
+                alpha: false,
+                powerPreference: 'high-performance',
+                stencil: false,
+                depth: true,
+                premultipliedAlpha: false,
+                preserveDrawingBuffer: false,
+                failIfMajorPerformanceCaveat: false,
+            });
+        } catch (e) {
+            console.warn('WebGL unavailable - drawing ribbons with Canvas2D', e);
+            return new Canvas2DRenderer(canvas, this);
+        }
+    }
+
+    // Line and point counts for the current quality level
+    detail() {
+        const level = QUALITY_LEVELS[this.qualityLevel];
+        return {
+            lineCount: Math.max(2, Math.round(this.config.lineCount * level.lines)),
+            pointsPerLine: Math.max(16, Math.round(this.config.pointsPerLine * level.points)),
+            fills: level.fills,
+        };
+    }
+
+    pixelRatio() {
+        return Math.min(window.devicePixelRatio, this.isMobile ? 1.5 : 2, QUALITY_LEVELS[this.qualityLevel].pixelRatio);
+    }
+
+    setQuality(level) {
+        const next = Math.max(0, Math.min(QUALITY_LEVELS.length - 1, level));
+        if (next === this.qualityLevel) return this;
+        const before = this.detail();
+        this.qualityLevel = next;
+        const after = this.detail();
+        this.renderer.setPixelRatio(this.pixelRatio());
+        for (const ribbon of this.ribbons) ribbon.setFillsVisible(after.fills);
+        // New counts wait for the band to be fully drawn, see applyDetail()
+        this.detailChanged ||= before.lineCount !== after.lineCount || before.pointsPerLine !== after.pointsPerLine;
+        this.applyDetail();
+        return this;
+    }
+
+    // Rebuilds at the current detail once every ribbon is holding a curve
+    applyDetail() {
+        if (!this.detailChanged || !this.ribbons.every((ribbon) => ribbon.phase === 'holding')) return;
+        this.detailChanged = false;
+        const previous = this.ribbons;
+        this.ribbons = [];
+        this.createRibbons();
+        this.ribbons.forEach((ribbon, i) => ribbon.continueFrom(previous[i]));
+        for (const ribbon of previous) ribbon.dispose();
+        this.sinceQualityChange = 0;
+        if (this.isPaused) this.renderer.render(this.scene, this.camera);
+    }
+
+    resetGovernor() {
+        this.frameInterval = undefined;
+        this.sinceQualityChange = 0;
+        this.timeOnBudget = 0;
+        this.upgradeDelay = QUALITY_UPGRADE_DELAY;
+        this.lastQualityStep = 0;
+    }
+
+    /**
+     * Feeds the time since the previous frame into the governor. Frames wait
+     * on both CPU and GPU work, so a late frame shows either. The refresh
+     * interval is the shortest interval seen: the first frames of the draw-in
+     * render almost nothing, so they arrive on every refresh. The budget is
+     * whichever is longer of that and targetFps, so a browser that caps the
+     * frame rate (30Hz screens, low power modes) does not look slow. A
+     * smoothed interval well over budget drops a level; a long stretch on
+     * budget tries the level above, backing off each time that upgrade has to
+     * be undone.
+     */
+    updateQuality(interval) {
+        if (!this.config.adaptiveQuality || !(interval > 0)) return;
+        interval = Math.min(interval, MAX_FRAME_INTERVAL);
+        this.refreshInterval = Math.min(this.refreshInterval, Math.max(interval, MIN_REFRESH_INTERVAL));
+        const budget = Math.max(this.refreshInterval, 1000 / this.config.targetFps);
+        this.frameInterval = this.frameInterval === undefined ? interval : this.frameInterval * 0.9 + interval * 0.1;
+        this.sinceQualityChange += interval;
+        this.timeOnBudget = this.frameInterval > budget ? 0 : this.timeOnBudget + interval;
+        if (this.sinceQualityChange < QUALITY_SETTLE_TIME) return;
+
+        let step = 0;
+        if (this.frameInterval > budget * 1.25 && this.qualityLevel < QUALITY_LEVELS.length - 1) step = 1;
+        else if (this.timeOnBudget > this.upgradeDelay && this.qualityLevel > 0) step = -1;
+        if (!step) return;
+        if (step === 1 && this.lastQualityStep === -1) this.upgradeDelay *= 2;
+        this.lastQualityStep = step;
+        this.sinceQualityChange = 0;
+        this.timeOnBudget = 0;
+        this.frameInterval = undefined;
+        this.setQuality(this.qualityLevel + step);
+    }
+
+    bindInput(signal) {
+        const passive = { passive: true, signal };
+        const onLinks = (e) => e.target.closest && e.target.closest('#links');
+        const distance = () => {
+            const [a, b] = this.touchPointers.values();
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+        const release = () => {
+            this.isDragging = false;
+            this.isClick = false;
+            this.dragPointer = null;
+        };
+        const touchDistance = (touches) => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+
+        document.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            if (e.pointerType === 'touch') {
+                if (onLinks(e)) return;
+                this.touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+                // A second finger turns the drag into a pinch
+                if (this.touchPointers.size === 2) {
+                    release();
+                    this.pinch = { distance: distance(), depth: this.config.depthMultiplier };
+                    return;
+                }
+                if (this.touchPointers.size > 2) return;
+            }
+            this.isDragging = true;
+            this.isClick = true;
+            this.dragPointer = e.pointerId;
+            this.mouseDownPos = { x: e.clientX, y: e.clientY };
+            this.lastMouseX = e.clientX;
+            this.lastMouseY = e.clientY;
+        }, passive);
+        document.addEventListener('pointermove', (e) => {
+            if (e.pointerType === 'mouse') {
+                this.mouseX = e.clientX;
+                this.mouseY = e.clientY;
+                this.isHovering = true;
+                this.placePointMarker();
+            }
+            if (this.touchPointers.has(e.pointerId)) this.touchPointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.pinch && this.touchPointers.size === 2) {
+                if (this.pinch.distance > 0) this.setDepth(this.pinch.depth * distance() / this.pinch.distance);
+                return;
+            }
+            if (!this.isDragging || e.pointerId !== this.dragPointer) return;
+            const slop = e.pointerType === 'mouse' ? 5 : 10;
+            if (Math.abs(e.clientX - this.mouseDownPos.x) + Math.abs(e.clientY - this.mouseDownPos.y) > slop) this.isClick = false;
+            this.drag(e.clientX, e.clientY);
+        }, passive);
+        document.addEventListener('pointerup', (e) => {
+            if (this.isClick && e.pointerId === this.dragPointer) this.handleClick(e.clientX, e.clientY);
+            if (e.pointerId === this.dragPointer) release();
+            this.touchPointers.delete(e.pointerId);
+            if (this.touchPointers.size < 2) this.pinch = null;
+        }, passive);
+        document.addEventListener('pointercancel', (e) => {
+            // touch-action lets the browser scroll vertically; it then cancels
+            // the pointers, but touch events keep coming until the finger lifts
+            if (e.pointerType === 'touch' && (e.pointerId === this.dragPointer || this.pinch)) {
+                this.touchFallback = true;
+                this.isClick = false;
+                return;
+            }
+            if (e.pointerId === this.dragPointer) release();
+            this.touchPointers.delete(e.pointerId);
+            if (this.touchPointers.size < 2) this.pinch = null;
+        }, passive);
+        document.addEventListener('touchmove', (e) => {
+            if (!this.touchFallback) return;
+            if (this.pinch && e.touches.length === 2) {
+                if (this.pinch.distance > 0) this.setDepth(this.pinch.depth * touchDistance(e.touches) / this.pinch.distance);
+            } else if (this.isDragging && e.touches.length === 1) {
+                this.drag(e.touches[0].clientX, e.touches[0].clientY);
+            }
+        }, passive);
+        const endTouchFallback = (e) => {
+            if (!this.touchFallback || e.touches.length) return;
+            this.touchFallback = false;
+            release();
+            this.touchPointers.clear();
+            this.pinch = null;
+        };
+        document.addEventListener('touchend', endTouchFallback, passive);
+        document.addEventListener('touchcancel', endTouchFallback, passive);
+        document.documentElement.addEventListener('pointerleave', (e) => {
+            if (e.pointerType === 'mouse') this.isHovering = false;
+        }, passive);
+
+        this.canvas.addEventListener('keydown', (e) => {
+            const step = e.shiftKey ? KEY_ROTATE_STEP * 3 : KEY_ROTATE_STEP;
+            const move = e.shiftKey ? KEY_POINT_STEP * 3 : KEY_POINT_STEP;
+            if (e.altKey) {
+                switch (e.key) {
+                    case 'ArrowLeft': this.movePoint(-move, 0); break;
+                    case 'ArrowRight': this.movePoint(move, 0); break;
+                    case 'ArrowUp': this.movePoint(0, -move); break;
+                    case 'ArrowDown': this.movePoint(0, move); break;
+                    default: return;
+                }
+                // Also keeps Alt+Left/Right from navigating history
+                return e.preventDefault();
+            }
+            switch (e.key) {
+                case 'ArrowLeft': this.rotateBy(-step, 0); break;
+                case 'ArrowRight': this.rotateBy(step, 0); break;
+                case 'ArrowUp': this.rotateBy(0, -step); break;
+                case 'ArrowDown': this.rotateBy(0, step); break;
+                case 'Enter':
+                case ' ':
+                    if (!e.repeat) this.handleClick(this.mouseX, this.mouseY);
+                    break;
+                default: return;
+            }
+            e.preventDefault();
+        }, { signal });
+
+        window.addEventListener('resize', () => this.handleResize(), { signal });
+        window.addEventListener('themechange', (e) => this.transitionTheme(e.detail?.isDark), { signal });
+        window.addEventListener('motionchange', (e) => {
+            if (e.detail?.reduced) this.still();
+            else {
+                // A pause() from the page outlasts the preference
+                this.isStill = false;
+                this.wake();
+            }
+        }, { signal });
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.stopLoop();
+            else this.wake();
+        }, { signal });
+        this.canvas.addEventListener('webglcontextlost', (e) => {
+            e.preventDefault();
+            this.stopLoop();
+            console.warn('WebGL context lost - pausing animation');
+        }, { signal });
+        this.canvas.addEventListener('webglcontextrestored', () => {
+            console.log('WebGL context restored');
+            this.wake();
+            if (this.isPaused) this.renderer.render(this.scene, this.camera);
+        }, { signal });
+    }
+
+    // Pointer drag nudges the spin; x movement turns around y and vice versa
+    drag(x, y) {
+        const { dragInfluence } = this.config;
+        this.rotateBy((x - this.lastMouseX) * 0.004 * dragInfluence, (y - this.lastMouseY) * 0.004 * dragInfluence);
+        this.lastMouseX = x;
+        this.lastMouseY = y;
+    }
+
+    // Horizontal turns around y, vertical around x; eased in by animate()
+    rotateBy(horizontal, vertical) {
+        const clamp = (value) => Math.max(-MAX_ROTATE_OFFSET, Math.min(MAX_ROTATE_OFFSET, value));
+        this.dragOffsetY = clamp(this.dragOffsetY + horizontal);
+        this.dragOffsetX = clamp(this.dragOffsetX + vertical);
+    }
+
+    // Keyboard stand-in for the pointer: moves the point Enter/Space ripples from
+    movePoint(dx, dy) {
+        this.mouseX = Math.max(0, Math.min(this.width, this.mouseX + dx));
+        this.mouseY = Math.max(0, Math.min(this.height, this.mouseY + dy));
+        this.placePointMarker();
+    }
+
+    // Live depth change for pinch; curves keep their shape, only z is rescaled
+    setDepth(depthMultiplier) {
+        this.config.depthMultiplier = Math.max(MIN_DEPTH, Math.min(MAX_DEPTH, depthMultiplier));
+        if (this.ribbons.some((ribbon) => !ribbon.builtDepth)) return this.rebuild();
+        for (const ribbon of this.ribbons) ribbon.setDepth(this.config.depthMultiplier);
+        if (this.isPaused) this.renderer.render(this.scene, this.camera);
+    }
+
+    createRibbons() {
+        for (let i = 0; i < this.config.ribbonCount; i++) {
+            this.ribbons.push(new Ribbon3D(this.scene, this.noise, this));
+        }
+    }
+
+    rebuild() {
+        this.replaceRibbons();
+        // A held ribbon would otherwise sit on the empty start of its draw-in
+        if (this.isStill || this.pausedByCaller) this.renderAt(this.settledTime());
+    }
+
+    // Fresh ribbons from the current seed and config, at the start of the draw-in
+    replaceRibbons() {
+        this.detailChanged = false;
+        for (const ribbon of this.ribbons) ribbon.dispose();
+        this.ribbons = [];
+        this.activeRipples = [];
+        this.sinceQualityChange = 0;
+        this.createRibbons();
+    }
+
+    // Public: stays paused across tab switches until resume()
+    pause() {
+        this.pausedByCaller = true;
+        this.stopLoop();
+    }
+
+    resume() {
+        this.pausedByCaller = false;
+        this.isStill = false;
+        this.startLoop();
+    }
+
+    // Holds the current frame until resume(), surviving tab switches
+    freeze() {
+        this.stopLoop();
+        this.isStill = true;
+    }
+
+    // Settles on a fully drawn frame: the current one while every band is
+    // holding, otherwise the end of the draw-in
+    still() {
+        if (this.ribbons.every((ribbon) => ribbon.phase === 'holding')) this.freeze();
+        else this.renderAt(this.settledTime());
+    }
+
+    // Only undoes our own stops (tab switch, lost context), not a caller's or a still
+    wake() {
+        if (!this.isStill && !this.pausedByCaller) this.startLoop();
+    }
+
+    stopLoop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.clock.stop();
+        this.isPaused = true;
+    }
+
+    startLoop() {
+        if (this.isDestroyed || !this.isPaused || this.animationId) return;
+        this.clock.start();
+        this.lastFrameTime = undefined;
+        this.isPaused = false;
+        this.animate();
+    }
+
+    // Seconds until every line has finished drawing in
+    settledTime() {
+        const { drawDuration, staggerDelay, lineCount } = this.config;
+        return (drawDuration + staggerDelay * (lineCount - 1)) / 1000;
+    }
+
+    setConfig(options) {
+        const changes = normalizeConfig(options);
+        const keys = Object.keys(changes);
+        Object.assign(this.config, changes);
+        if (keys.some((key) => /^(light|dark)/.test(key))) {
+            this.applyThemeColors(isDarkTheme());
+        }
+        if (keys.some(isColorKey)) {
+            this.scene.background.set(this.config.backgroundColor);
+            for (const ribbon of this.ribbons) {
+                for (const line of ribbon.lines) line.updateBaseColor(this.config.lineColor);
+                for (const fill of ribbon.fillMeshes) fill.mesh.material.color.set(this.config.fillColor);
+            }
+            if (this.isPaused) this.renderer.render(this.scene, this.camera);
+        }
+        if ('rippleColors' in changes) {
+            this.currentColorIndex = 0;
+            this.nextColorIndex = 1 % this.config.rippleColors.length;
+        }
+        if (GEOMETRY_KEYS.some((key) => key in changes)) this.rebuild();
+        return this;
+    }
+
+    reseed(seed = Math.random()) {
+        this.setSeed(seed);
+        this.rebuild();
+        return this;
+    }
+
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = createSeededRandom(seed);
+        this.noise = new SimplexNoise(seed);
+    }
+
+    /**
+     * Rewinds to the current seed and steps the animation on a fixed clock
+     * up to `seconds`, then holds that frame until resume().
+     */
+    renderAt(seconds) {
+        this.freeze();
+        this.dragOffsetX = 0;
+        this.dragOffsetY = 0;
+        this.mouseInfluenceX = 0;
+        this.mouseInfluenceY = 0;
+        // Full detail regardless of what the governor picked, so frames match across devices
+        this.qualityLevel = 0;
+        this.renderer.setPixelRatio(this.pixelRatio());
+        this.setSeed(this.seed);
+        this.replaceRibbons();
+        const total = Math.max(0, seconds) * 1000;
+        for (let elapsed = 0; elapsed < total; elapsed += FIXED_STEP) {
+            const delta = Math.min(FIXED_STEP, total - elapsed);
+            for (const ribbon of this.ribbons) ribbon.update(delta);
+        }
+        this.renderer.render(this.scene, this.camera);
+        return this;
+    }
+
+    // Frames a width x height image so the ribbon keeps its on-screen proportions
+    fitCamera(width, height) {
+        const scale = Math.min(this.width, this.height) / Math.min(width, height);
+        this.camera.left = (-width * scale) / 2;
+        this.camera.right = (width * scale) / 2;
+        this.camera.top = (height * scale) / 2;
+        this.camera.bottom = (-height * scale) / 2;
+        this.camera.updateProjectionMatrix();
+    }
+
+    /**
+     * Renders the current frame at the given size and resolves to a PNG or
+     * SVG Blob. The on-screen canvas is left as it was.
+     */
+    async exportImage({ width = this.width, height = this.height, format = 'png' } = {}) {
+        if (format === 'svg') {
+            const svg = this.toSVG(width, height);
+            this.handleResize();
+            return new Blob([svg], { type: 'image/svg+xml' });
+        }
+        if (format !== 'png') throw new Error(`ribbon: unsupported export format "${format}"`);
+
+        const pixelRatio = this.renderer.getPixelRatio();
+        this.renderer.setPixelRatio(1);
+        this.renderer.setSize(width, height, false);
+        this.fitCamera(width, height);
+        this.renderer.render(this.scene, this.camera);
+        // toBlob copies the bitmap synchronously, so the canvas can be restored straight away
+        const blob = new Promise((resolve) => this.canvas.toBlob(resolve, 'image/png'));
+        this.renderer.setPixelRatio(pixelRatio);
+        this.handleResize();
+        this.renderer.render(this.scene, this.camera);
+        return blob;
+    }
+
+    /**
+     * Screen-space fill quads and line segments of every visible ribbon,
+     * sorted back to front. A segment sorts by its nearer end and a quad by
+     * its farthest corner plus FILL_DEPTH_BIAS, so a quad always paints
+     * before any line segment it touches, as polygonOffset keeps it behind
+     * them in WebGL. Neighbours that share a kind and colour are grouped
+     * into runs of {fill, color, primitives}, one path each.
+     */
+    projectRibbons(width, height) {
+        this.scene.updateMatrixWorld();
+        this.camera.updateMatrixWorld();
+        const point = new THREE.Vector3();
+        const color = new THREE.Color();
+        // x, y in px and depth in scene units for each vertex
+        const project = (array, count, matrix) => {
+            const out = new Float32Array(count * 3);
+            for (let i = 0; i < count; i++) {
+                point.fromArray(array, i * 3).applyMatrix4(matrix).applyMatrix4(this.camera.matrixWorldInverse);
+                out[i * 3 + 2] = -point.z;
+                point.applyMatrix4(this.camera.projectionMatrix);
+                out[i * 3] = ((point.x + 1) / 2) * width;
+                out[i * 3 + 1] = ((1 - point.y) / 2) * height;
+            }
+            return out;
+        };
+
+        const primitives = [];
+        for (const ribbon of this.ribbons) {
+            const matrix = ribbon.ribbonGroup.matrixWorld;
+            const screen = ribbon.lines.map(({ mesh }) => project(mesh.geometry.attributes.position.array, mesh.geometry.attributes.position.count, matrix));
+            for (const fill of ribbon.fillMeshes) {
+                const segments = Math.floor(fill.mesh.geometry.drawRange.count / 6);
+                if (!fill.mesh.visible || segments < 1) continue;
+                const a = screen[fill.line1Index];
+                const b = screen[fill.line2Index];
+                const style = `#${fill.mesh.material.color.getHexString()}`;
+                for (let i = 0; i < segments; i++) {
+                    const [p, q] = [i * 3, i * 3 + 3];
+                    primitives.push({
+                        fill: true,
+                        color: style,
+                        depth: Math.max(a[p + 2], a[q + 2], b[p + 2], b[q + 2]) + FILL_DEPTH_BIAS,
+                        points: [a[p], a[p + 1], a[q], a[q + 1], b[q], b[q + 1], b[p], b[p + 1]],
+                    });
+                }
+            }
+            ribbon.lines.forEach(({ mesh }, index) => {
+                const { geometry } = mesh;
+                const count = Math.min(geometry.drawRange.count, geometry.attributes.position.count);
+                const line = screen[index];
+                for (let i = 0; i < count - 1; i++) {
+                    const [p, q] = [i * 3, i * 3 + 3];
+                    primitives.push({
+                        fill: false,
+                        color: `#${color.fromArray(geometry.attributes.color.array, i * 3).getHexString()}`,
+                        depth: Math.min(line[p + 2], line[q + 2]),
+                        points: [line[p], line[p + 1], line[q], line[q + 1]],
+                    });
+                }
+            });
+        }
+        primitives.sort((a, b) => b.depth - a.depth);
+
+        const runs = [];
+        for (const primitive of primitives) {
+            const run = runs[runs.length - 1];
+            if (run && run.fill === primitive.fill && run.color === primitive.color) run.primitives.push(primitive);
+            else runs.push({ fill: primitive.fill, color: primitive.color, primitives: [primitive] });
+        }
+        return runs;
+    }
+
+    toSVG(width, height) {
+        this.fitCamera(width, height);
+        const path = ({ fill, primitives }) => primitives.map(({ points }) => {
+            const pairs = [];
+            for (let i = 0; i < points.length; i += 2) pairs.push(`${points[i].toFixed(1)},${points[i + 1].toFixed(1)}`);
+            return `M${pairs.join('L')}${fill ? 'Z' : ''}`;
+        }).join('');
+        // Same paint order and seam strokes as Canvas2DRenderer
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect width="100%" height="100%" fill="#${this.scene.background.getHexString()}"/>`,
+            ...this.projectRibbons(width, height).map((run) =>
+                `<path d="${path(run)}" fill="${run.fill ? run.color : 'none'}" stroke="${run.color}" stroke-width="1"/>`),
+            '</svg>',
+        ].join('\n');
+    }
+
+    async downloadImage(options = {}) {
+        const format = options.format || 'png';
+        const blob = await this.exportImage({ ...options, format });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `ribbon-${this.seed}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    destroy() {
+        this.stopLoop();
+        this.isDestroyed = true;
+        this.listeners.abort();
+        this.pointMarker.remove();
+        for (const ribbon of this.ribbons) ribbon.dispose();
+        this.ribbons = [];
+        this.renderer.dispose();
+        if (window.ribbons === this) delete window.ribbons;
+    }
+
+    applyThemeColors(isDark) {
+        const c = this.config;
+        c.lineColor = isDark ? c.darkLineColor : c.lightLineColor;
+        c.backgroundColor = isDark ? c.darkBackgroundColor : c.lightBackgroundColor;
+        c.fillColor = isDark ? c.darkFillColor : c.lightFillColor;
+    }
+
+    // Eases background, line and fill colours to the new theme
+    transitionTheme(isDark) {
+        const c = this.config;
+        const start = performance.now();
+        const fromBackground = this.scene.background.clone();
+        const toBackground = new THREE.Color(isDark ? c.darkBackgroundColor : c.lightBackgroundColor);
+        const fromLine = new THREE.Color(c.lineColor);
+        const toLine = new THREE.Color(isDark ? c.darkLineColor : c.lightLineColor);
+        const fromFill = new THREE.Color(c.fillColor);
+        const toFill = new THREE.Color(isDark ? c.darkFillColor : c.lightFillColor);
+
+        const step = (now) => {
+            if (this.isDestroyed) return;
+            const t = Math.min((now - start) / THEME_TRANSITION, 1);
+            const eased = easeInOutQuad(t);
+            this.scene.background.lerpColors(fromBackground, toBackground, eased);
+            const line = new THREE.Color().lerpColors(fromLine, toLine, eased);
+            const fill = new THREE.Color().lerpColors(fromFill, toFill, eased);
+            for (const ribbon of this.ribbons) {
+                for (const l of ribbon.lines) l.updateBaseColor(line.getHex());
+                for (const f of ribbon.fillMeshes) f.mesh.material.color.copy(fill);
+            }
+            if (this.isPaused) this.renderer.render(this.scene, this.camera);
+            if (t < 1) requestAnimationFrame(step);
+            else this.applyThemeColors(isDark);
+        };
+        requestAnimationFrame(step);
+    }
+
+    handleResize() {
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        this.camera.left = -this.width / 2;
+        this.camera.right = this.width / 2;
+        this.camera.top = this.height / 2;
+        this.camera.bottom = -this.height / 2;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(this.width, this.height);
+        this.renderer.setPixelRatio(this.pixelRatio());
+        this.movePoint(0, 0);
+    }
+
+    // Position along the band (0..1, as applyRipple expects) of the vertex
+    // drawn closest to a viewport point
+    rippleOrigin(x, y) {
+        const line = this.ribbons[0]?.lines[Math.floor(this.ribbons[0].lines.length / 2)];
+        if (!line?.mesh) return this.random();
+        const { array, count } = line.mesh.geometry.attributes.position;
+        const drawn = Math.min(count, line.mesh.geometry.drawRange.count);
+        const matrix = this.ribbons[0].ribbonGroup.matrixWorld;
+        const point = new THREE.Vector3();
+        let nearest = 0;
+        let best = Infinity;
+        this.scene.updateMatrixWorld();
+        for (let i = 0; i < drawn; i++) {
+            point.fromArray(array, i * 3).applyMatrix4(matrix).project(this.camera);
+            const dx = ((point.x + 1) / 2) * this.width - x;
+            const dy = ((1 - point.y) / 2) * this.height - y;
+            const distance = dx * dx + dy * dy;
+            if (distance < best) {
+                best = distance;
+                nearest = i;
+            }
+        }
+        return nearest / (count - 1);
+    }
+
+    // Ripples start from the band nearest (x, y), or anywhere without a point
+    handleClick(x, y) {
+        if (this.isPaused) return;
+        const now = performance.now();
+        // One ripple in flight at a time, and no double-click bursts
+        for (const ripple of this.activeRipples) {
+            if (now - ripple.startTime < this.config.rippleTravelTime) return;
+        }
+        if (this.lastClickTime && now - this.lastClickTime < 300) return;
+        this.lastClickTime = now;
+
+        const color = this.cyclingColor.clone();
+        const clickT = x === undefined ? this.random() : this.rippleOrigin(x, y);
+        this.activeRipples.push({ clickT, color, startTime: now });
+        window.dispatchEvent(new CustomEvent('ripplestart', { detail: { color } }));
+    }
+
+    updateRipples() {
+        if (this.activeRipples.length === 0) return;
+        const now = performance.now();
+        const { rippleTravelTime, rippleFadeTime } = this.config;
+        this.activeRipples = this.activeRipples.filter((ripple) => {
+            const age = now - ripple.startTime;
+            if (age >= rippleTravelTime + rippleFadeTime) return false;
+            const progress = age < rippleTravelTime ? 1 - Math.pow(1 - age / rippleTravelTime, 2) : 1;
+            const fade = age < rippleTravelTime ? 0 : (age - rippleTravelTime) / rippleFadeTime;
+            for (const ribbon of this.ribbons) {
+                for (const line of ribbon.lines) line.applyRipple(ripple.clickT, ripple.color, progress, fade);
+            }
+            return true;
+        });
+        if (this.activeRipples.length === 0) {
+            this.resetLineColors();
+            this.lastRippleEnd = performance.now();
+            window.dispatchEvent(new CustomEvent('rippleend'));
+        }
+    }
+
+    resetLineColors() {
+        for (const ribbon of this.ribbons) {
+            for (const line of ribbon.lines) line.resetColors();
+        }
+    }
+
+    updateCyclingColor() {
+        const now = performance.now();
+        const t = Math.min(1, (now - this.colorCycleStart) / this.config.colorCycleTime);
+        const eased = easeInOutQuad(t);
+        const colors = this.config.rippleColors;
+        const from = colors[this.currentColorIndex];
+        const to = colors[this.nextColorIndex];
+        this.cyclingColor.setRGB(
+            (from[0] + (to[0] - from[0]) * eased) / 255,
+            (from[1] + (to[1] - from[1]) * eased) / 255,
+            (from[2] + (to[2] - from[2]) * eased) / 255,
+        );
+        if (t >= 1) {
+            this.currentColorIndex = this.nextColorIndex;
+            this.nextColorIndex = (this.nextColorIndex + 1) % colors.length;
+            this.colorCycleStart = now;
+        }
+    }
+
+    applyHoverPreview() {
+        const intensity = this.config.hoverPreviewIntensity;
+        for (const ribbon of this.ribbons) {
+            for (const line of ribbon.lines) {
+                if (!line.lineMesh || !line.baseColor) continue;
+                const colors = line.lineMesh.geometry.attributes.color;
+                if (!colors) continue;
+                const base = line.baseColor;
+                for (let i = 0; i < colors.count; i++) {
+                    colors.array[i * 3] = base.r + (this.cyclingColor.r - base.r) * intensity;
+                    colors.array[i * 3 + 1] = base.g + (this.cyclingColor.g - base.g) * intensity;
+                    colors.array[i * 3 + 2] = base.b + (this.cyclingColor.b - base.b) * intensity;
+                }
+                colors.needsUpdate = true;
+            }
+        }
+    }
+
+    // `time` is the requestAnimationFrame timestamp, absent for the first frame
+    animate(time) {
+        if (document.hidden || this.isPaused) return;
+        const elapsed = this.clock.getDelta() * 1000;
+        const delta = Math.min(elapsed, 100);
+        this.mouseInfluenceX += (this.dragOffsetX - this.mouseInfluenceX) * this.config.influenceLerp;
+        this.mouseInfluenceY += (this.dragOffsetY - this.mouseInfluenceY) * this.config.influenceLerp;
+        for (const ribbon of this.ribbons) ribbon.update(delta);
+        this.applyDetail();
+
+        this.updateCyclingColor();
+        if (this.activeRipples.length > 0) {
+            this.updateRipples();
+        } else if (this.isHovering) {
+            this.applyHoverPreview();
+            this.wasHovering = true;
+        } else if (this.wasHovering) {
+            this.resetLineColors();
+            this.wasHovering = false;
+        }
+
+        this.renderer.render(this.scene, this.camera);
+        if (time !== undefined) {
+            // Frame timestamps, not the clock, so the interval is the one the screen saw
+            if (this.lastFrameTime !== undefined) this.updateQuality(time - this.lastFrameTime);
+            this.lastFrameTime = time;
+        }
+        this.animationId = requestAnimationFrame((t) => this.animate(t));
+    }
+}
+
+/**
+ * Starts a ribbon background on a canvas (element or id). Config from the
+ * canvas's data attributes is merged under the options passed here; a
+ * `seed` option fixes the noise and curve order.
+ */
+export function ribbonsJS(canvas = 'ribbon-js', options = {}) {
+    const element = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
+    if (!element) throw new Error(`ribbon: no canvas "${canvas}"`);
+    return new RibbonManager(element, { ...readConfig(element), ...options });
+}
+
+// ?seed=, ?t= and ?export= (with optional width/height) from the page URL
+function initRibbon() {
+    const canvas = document.getElementById('ribbon-js');
+    if (!canvas) return;
+    const params = new URLSearchParams(window.location.search);
+    const seed = Number(params.get('seed'));
+    if (params.has('seed') && !Number.isFinite(seed)) console.warn(`ribbon: ignoring invalid seed "${params.get('seed')}"`);
+    const options = params.has('seed') && Number.isFinite(seed) ? { seed } : {};
+    const ribbons = ribbonsJS(canvas, options);
+    window.ribbons = ribbons;
+    if (params.has('t')) ribbons.renderAt(Number(params.get('t')) || 0);
+    if (params.has('export')) {
+        ribbons.downloadImage({
+            format: params.get('export'),
+            width: Number(params.get('width')) || undefined,
+            height: Number(params.get('height')) || undefined,
+        }).catch((e) => console.warn(e.message));
+    }
+}
+
+if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', initRibbon);
+else initRibbon();
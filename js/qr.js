@@ -0,0 +1,200 @@
+/**
+ * QR page: draws the code live in the current theme colours.
+ *
+ * What it encodes comes from the URL (and the controls, which keep the URL
+ * in sync so a setup can be bookmarked for an event):
+ *
+ *   ?encode=site | vcard | mecard   site URL (default) or a contact card
+ *   ?logo=0                         no vLogo in the centre
+ *   ?links=github,linkedin          profiles to put on the card
+ *
+ * Contact cards are built from /js/profile.json, the same data that renders
+ * the home page's links, so they never drift from it.
+ */
+import { encodeQR } from './qrcode.js';
+
+const SITE_URL = 'https://vvkmnn.xyz';
+const MARGIN = 4;          // quiet zone, in modules
+const LOGO_SIZE = 0.22;    // logo box relative to the code's width
+const PNG_SIZE = 1024;
+
+// Default profiles on a contact card; all of them would not fit in a code
+const CARD_LINKS = ['github', 'linkedin', 'twitter', 'instagram'];
+
+const LIGHT = { foreground: '#121212', background: '#f8f7f4' };
+const DARK = { foreground: '#f8f7f4', background: '#121212' };
+
+const container = document.querySelector('.qr-container');
+const encodeSelect = document.getElementById('qr-encode');
+const logoCheckbox = document.getElementById('qr-logo');
+const params = new URLSearchParams(location.search);
+
+let profile;
+let logo;
+let current;
+
+function colors() {
+    const dark = window.theme ? window.theme.isDark() : document.documentElement.classList.contains('dark');
+    return dark ? DARK : LIGHT;
+}
+
+// Name, email and social links, from the same data as the home page
+async function loadProfile() {
+    const response = await fetch('/js/profile.json');
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    const { givenName, familyName, email, links } = await response.json();
+    return {
+        givenName,
+        familyName,
+        email,
+        profiles: links
+            .filter((link) => /^https?:/.test(link.url))
+            .map((link) => ({ label: link.label, href: link.url })),
+    };
+}
+
+async function loadLogo() {
+    const svg = await (await fetch('/images/vLogo-cropped.svg')).text();
+    const [x, y, width, height] = svg.match(/viewBox="([^"]+)"/)[1].split(/\s+/).map(Number);
+    return { x, y, width, height, path: svg.match(/ d="([^"]+)"/)[1] };
+}
+
+function selectedProfiles() {
+    const only = params.get('links');
+    const labels = only ? only.toLowerCase().split(',') : CARD_LINKS;
+    return profile.profiles.filter((link) => labels.includes(link.label.toLowerCase()));
+}
+
+function escapeVCard(value) {
+    return value.replace(/[\\,;]/g, '\\$&').replace(/\n/g, '\\n');
+}
+
+// Colons are left alone so URLs stay readable to phone scanners
+function escapeMeCard(value) {
+    return value.replace(/[\\;]/g, '\\$&');
+}
+
+function vCard() {
+    const { givenName, familyName, email } = profile;
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `N:${escapeVCard(familyName)};${escapeVCard(givenName)};;;`,
+        `FN:${escapeVCard(`${givenName} ${familyName}`)}`,
+    ];
+    if (email) lines.push(`EMAIL:${escapeVCard(email)}`);
+    lines.push(`URL:${SITE_URL}`);
+    for (const link of selectedProfiles()) {
+        lines.push(`X-SOCIALPROFILE;TYPE=${escapeVCard(link.label)}:${escapeVCard(link.href)}`);
+    }
+    lines.push('END:VCARD');
+    return lines.join('\r\n');
+}
+
+function meCard() {
+    const { givenName, familyName, email } = profile;
+    const fields = [`N:${escapeMeCard(familyName)},${escapeMeCard(givenName)}`];
+    if (email) fields.push(`EMAIL:${escapeMeCard(email)}`);
+    fields.push(`URL:${escapeMeCard(SITE_URL)}`);
+    for (const link of selectedProfiles()) fields.push(`URL:${escapeMeCard(link.href)}`);
+    return `MECARD:${fields.join(';')};;`;
+}
+
+function payload(encode) {
+    if (encode === 'vcard') return vCard();
+    if (encode === 'mecard') return meCard();
+    return SITE_URL;
+}
+
+// Logo box in module units, centred and aligned to whole modules
+function logoBox(qr) {
+    const side = Math.ceil(qr.size * LOGO_SIZE) | 1;
+    const start = MARGIN + (qr.size - side) / 2;
+    return { x: start, y: start, side };
+}
+
+function covered(box, x, y) {
+    const start = box.x - MARGIN;
+    return x >= start && x < start + box.side && y >= start && y < start + box.side;
+}
+
+function toSVG(qr, { foreground, background }, withLogo) {
+    const total = qr.size + MARGIN * 2;
+    const box = withLogo && logoBox(qr);
+    let modules = '';
+    qr.modules.forEach((row, y) => row.forEach((dark, x) => {
+        if (dark && !(box && covered(box, x, y))) modules += `M${x + MARGIN} ${y + MARGIN}h1v1h-1z`;
+    }));
+    let logoMarkup = '';
+    if (box) {
+        const inset = box.side * 0.06;
+        const scale = (box.side - inset * 2) / Math.max(logo.width, logo.height);
+        const dx = box.x + (box.side - logo.width * scale) / 2 - logo.x * scale;
+        const dy = box.y + (box.side - logo.height * scale) / 2 - logo.y * scale;
+        logoMarkup = `<path fill="${foreground}" shape-rendering="geometricPrecision" transform="translate(${dx} ${dy}) scale(${scale})" d="${logo.path}"/>`;
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+        `<rect width="${total}" height="${total}" fill="${background}"/>` +
+        `<path fill="${foreground}" d="${modules}"/>${logoMarkup}</svg>`;
+}
+
+function render() {
+    const encode = encodeSelect.value;
+    const withLogo = logoCheckbox.checked;
+    // H leaves room to cover the centre; cards are long, so keep them as light as possible
+    const qr = encodeQR(payload(encode), { ecl: withLogo ? 'H' : encode === 'site' ? 'Q' : 'M' });
+    current = { qr, encode, withLogo };
+    container.innerHTML = toSVG(qr, colors(), withLogo);
+    const svg = container.firstChild;
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', encode === 'site' ? `QR code for ${SITE_URL}` : `QR code with contact card (${encode})`);
+}
+
+function syncURL() {
+    const url = new URL(location.href);
+    const { searchParams } = url;
+    if (encodeSelect.value === 'site') searchParams.delete('encode');
+    else searchParams.set('encode', encodeSelect.value);
+    if (logoCheckbox.checked) searchParams.delete('logo');
+    else searchParams.set('logo', '0');
+    history.replaceState(null, '', url);
+}
+
+function save(blob, extension) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `vvkmnn-qr-${current.encode}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function download(format) {
+    const svg = toSVG(current.qr, colors(), current.withLogo);
+    if (format === 'svg') return save(new Blob([svg], { type: 'image/svg+xml' }), 'svg');
+
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = PNG_SIZE;
+        canvas.getContext('2d').drawImage(image, 0, 0, PNG_SIZE, PNG_SIZE);
+        canvas.toBlob((blob) => save(blob, 'png'), 'image/png');
+    };
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+async function init() {
+    encodeSelect.value = ['vcard', 'mecard'].includes(params.get('encode')) ? params.get('encode') : 'site';
+    logoCheckbox.checked = params.get('logo') !== '0';
+    [profile, logo] = await Promise.all([loadProfile(), loadLogo()]);
+
+    render();
+    document.getElementById('qr-options').hidden = false;
+    encodeSelect.addEventListener('change', () => { syncURL(); render(); });
+    logoCheckbox.addEventListener('change', () => { syncURL(); render(); });
+    document.querySelectorAll('[data-download]').forEach((button) => {
+        button.addEventListener('click', () => download(button.dataset.download));
+    });
+    window.addEventListener('themechange', render);
+}
+
+init().catch((e) => console.warn('qr: falling back to the prebuilt images', e));
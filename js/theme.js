@@ -0,0 +1,96 @@
+// Site theme, shared by every page. Load it as a blocking script in <head>
+// so html gets its .dark/.light class before first paint.
+//
+// Priority: saved choice > system preference > time of day (7am-7pm light,
+// 7pm-7am dark). With no saved choice the theme is "auto" and follows the OS
+// scheme and the 7am/7pm boundary live while the page is open.
+//
+//   theme.getTheme()         'light' | 'dark' | 'auto'
+//   theme.setTheme('auto')   forget the saved choice
+//   theme.isDark()
+//
+// Every change dispatches themechange with {detail: {isDark, theme}}.
+(function () {
+    var html = document.documentElement;
+    var query = matchMedia('(prefers-color-scheme:dark)');
+    var boundaryTimer;
+
+    function saved() {
+        var value = localStorage.getItem('theme');
+        return value === 'dark' || value === 'light' ? value : null;
+    }
+
+    function getTheme() {
+        return saved() || 'auto';
+    }
+
+    function autoDark() {
+        var hour = new Date().getHours();
+        return query.matches || hour < 7 || hour >= 19;
+    }
+
+    function isDark() {
+        var theme = getTheme();
+        return theme === 'auto' ? autoDark() : theme === 'dark';
+    }
+
+    function apply() {
+        var dark = isDark();
+        var changed = html.classList.contains('dark') !== dark;
+        html.classList.toggle('dark', dark);
+        html.classList.toggle('light', !dark);
+        if (changed) dispatchEvent(new CustomEvent('themechange', { detail: { isDark: dark, theme: getTheme() } }));
+    }
+
+    // Re-check at the next 7am or 7pm
+    function scheduleBoundary() {
+        clearTimeout(boundaryTimer);
+        var now = new Date(), next = new Date(now);
+        next.setHours(now.getHours() < 7 ? 7 : now.getHours() < 19 ? 19 : 31, 0, 0, 0);
+        boundaryTimer = setTimeout(function () {
+            if (getTheme() === 'auto') apply();
+            scheduleBoundary();
+        }, next - now);
+    }
+
+    function setTheme(theme) {
+        if (theme === 'dark' || theme === 'light') localStorage.setItem('theme', theme);
+        else if (theme === 'auto') localStorage.removeItem('theme');
+        else throw new Error('theme: expected light, dark or auto, got ' + theme);
+        apply();
+    }
+
+    // Flip the current theme; landing back on what auto would pick returns to auto
+    function toggle() {
+        var dark = !isDark();
+        setTheme(dark === autoDark() ? 'auto' : dark ? 'dark' : 'light');
+    }
+
+    html.classList.add('no-transitions');
+    html.classList.add(isDark() ? 'dark' : 'light');
+    requestAnimationFrame(function () {
+        requestAnimationFrame(function () { html.classList.remove('no-transitions'); });
+    });
+
+    query.addEventListener('change', function () {
+        if (getTheme() === 'auto') apply();
+    });
+    // Timers stall while a laptop sleeps, so also catch up when the tab returns
+    document.addEventListener('visibilitychange', function () {
+        if (document.hidden) return;
+        if (getTheme() === 'auto') apply();
+        scheduleBoundary();
+    });
+    // Keep other open tabs in step
+    addEventListener('storage', function (e) {
+        if (e.key === 'theme' || e.key === null) apply();
+    });
+    scheduleBoundary();
+
+    document.addEventListener('DOMContentLoaded', function () {
+        var button = document.getElementById('theme-toggle');
+        if (button) button.onclick = toggle;
+    });
+
+    window.theme = { getTheme: getTheme, setTheme: setTheme, isDark: isDark, toggle: toggle };
+})();
@@ -0,0 +1,119 @@
+// Offline support. Everything the pages need is precached on install,
+// including three.js from the importmap's CDN URL.
+//
+// The cache is named after VERSION, a hash of PRECACHE and the files on it
+// that `node tools/precache.mjs` writes below. Any change to those files
+// changes this one, which makes the browser install the new worker; install
+// bypasses the HTTP cache, and on activate it drops every older cache.
+//
+// Pages and the same-origin scripts, styles and data they load are
+// network-first, so a deploy is picked up as soon as it is online and a new
+// page never runs against last deploy's code. Images, fonts and the CDN are
+// served from cache and refreshed in the background.
+const VERSION = 'e7ffb7565f';
+
+const THREE_URL = 'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.module.min.js';
+
+const PRECACHE = [
+    '/',
+    '/qr.html',
+    '/manifest.webmanifest',
+    '/css/ab3ef.css',
+    '/css/407cc.css',
+    '/js/theme.js',
+    '/js/42949.js',
+    '/js/6cef7.js',
+    '/js/74dad.js',
+    '/js/roles.json',
+    '/js/profile.json',
+    '/js/qr.js',
+    '/js/qrcode.js',
+    '/webfonts/fa-brands-400.woff2',
+    '/webfonts/fa-brands-400.woff',
+    '/webfonts/fa-regular-400.woff2',
+    '/webfonts/fa-regular-400.woff',
+    '/images/vLogo-cropped.svg',
+    '/images/cropped_vLogoTransparent.webp',
+    '/favicon.ico',
+    '/apple-touch-icon.png',
+    '/assets/icon-192.png',
+    '/assets/icon-512.png',
+    '/assets/icon-maskable-192.png',
+    '/assets/icon-maskable-512.png',
+    '/assets/qr.png',
+    '/assets/qr-dark.png',
+    '/assets/vm_resume.pdf',
+    THREE_URL,
+];
+
+// Other origins worth keeping for offline use
+const RUNTIME_HOSTS = ['cdn.jsdelivr.net', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Same-origin request destinations that change with the pages ('' is fetch())
+const FRESH_DESTINATIONS = ['script', 'style', 'manifest', ''];
+
+const CACHE = `vvkmnn-${VERSION}`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then((cache) => cache.addAll(PRECACHE.map((url) => new Request(url, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys.filter((key) => key !== CACHE).map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+function cacheable(response) {
+    // Cross-origin stylesheets and fonts loaded without CORS come back opaque
+    return response.ok || response.type === 'opaque';
+}
+
+function put(request, response) {
+    if (!cacheable(response)) return response;
+    const copy = response.clone();
+    caches.open(CACHE).then((cache) => cache.put(request, copy));
+    return response;
+}
+
+function networkFirst(request) {
+    return fetch(request)
+        .then((response) => put(request, response))
+        .catch(() => caches.match(request))
+        .then((response) => response || Response.error());
+}
+
+// ?seed=, ?focus= and friends all share the cached page
+function navigate(request) {
+    return fetch(request)
+        .then((response) => put(new URL(request.url).pathname, response))
+        .catch(() => caches.match(request, { ignoreSearch: true }))
+        .then((response) => response || caches.match('/'));
+}
+
+function staleWhileRevalidate(event) {
+    const { request } = event;
+    return caches.match(request).then((cached) => {
+        const network = fetch(request).then((response) => put(request, response));
+        if (!cached) return network;
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    });
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin && !RUNTIME_HOSTS.includes(url.hostname)) return;
+
+    if (request.mode === 'navigate') event.respondWith(navigate(request));
+    else if (url.origin === self.location.origin && FRESH_DESTINATIONS.includes(request.destination)) event.respondWith(networkFirst(request));
+    else event.respondWith(staleWhileRevalidate(event));
+});
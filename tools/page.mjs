@@ -0,0 +1,15 @@
+// Shared by the tools that write generated regions of index.html. A region
+// sits between <!-- name --> and <!-- /name --> and is replaced whole.
+export const PAGE = 'index.html';
+
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"]/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
+
+// Replaces whatever sits between <!-- name --> and <!-- /name -->, indented like the markers
+export function fill(html, name, lines) {
+    const pattern = new RegExp(`^([ \\t]*)<!-- ${name} -->\\n[\\s\\S]*?^[ \\t]*<!-- /${name} -->$`, 'm');
+    if (!pattern.test(html)) throw new Error(`${PAGE}: missing <!-- ${name} --> … <!-- /${name} --> markers`);
+    return html.replace(pattern, (match, indent) =>
+        [`<!-- ${name} -->`, ...lines, `<!-- /${name} -->`].map((line) => indent + line).join('\n'));
+}
@@ -0,0 +1,30 @@
+// Stamps sw.js with a hash of everything it precaches, so any content change
+// (not just a renamed bundle) installs a new worker and a fresh cache:
+//
+//   const VERSION = '<hash>';
+//
+// The hash covers the PRECACHE list and the bytes of each same-origin file
+// on it ('/' is index.html). Run it last, after the other tools, from the
+// repo root before committing a change to anything the site serves:
+//   node tools/precache.mjs
+import { createHash } from 'node:crypto';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+const WORKER = 'sw.js';
+
+const source = readFileSync(WORKER, 'utf8');
+const list = source.match(/const PRECACHE = \[([\s\S]*?)\];/);
+if (!list) throw new Error(`${WORKER}: no PRECACHE list`);
+const paths = [...list[1].matchAll(/'(\/[^']*)'/g)].map((match) => match[1]);
+
+const hash = createHash('sha256');
+for (const path of paths) {
+    hash.update(`${path}\n`);
+    hash.update(readFileSync(path === '/' ? 'index.html' : path.slice(1)));
+}
+const version = hash.digest('hex').slice(0, 10);
+
+const pattern = /^const VERSION = '[^']*';$/m;
+if (!pattern.test(source)) throw new Error(`${WORKER}: no VERSION line`);
+writeFileSync(WORKER, source.replace(pattern, `const VERSION = '${version}';`));
+console.log(`${WORKER}: ${paths.length} files, version ${version}`);
@@ -0,0 +1,162 @@
+// Renders everything index.html says about who this is from /js/profile.json:
+//
+//   <!-- profile:meta -->   Open Graph and Twitter meta, schema.org Person
+//                           JSON-LD (sameAs = links marked "sameAs") and the
+//                           rel="pgpkey" link
+//   <!-- profile:links -->  the icon list in #links
+//
+// It also publishes the armored key (profile.pgp.key) for Web Key Directory
+// lookups of profile.pgp.email, at /.well-known/openpgpkey/hu/<hash>.
+//
+// Each link is {label, url, icon, ariaLabel?, color?, sameAs?}. icon is a
+// Font Awesome class ("fab fa-github") or {viewBox, path} for an inline SVG;
+// ariaLabel names the link when label alone would not (it defaults to label).
+//
+// Run from the repo root after editing profile.json, and commit the output:
+//   node tools/profile.mjs && node tools/precache.mjs
+import { createHash } from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { PAGE, escapeHTML, fill } from './page.mjs';
+
+const PROFILE = 'js/profile.json';
+const WKD = '.well-known/openpgpkey';
+
+const profile = JSON.parse(readFileSync(PROFILE, 'utf8'));
+
+function meta(attribute, name, content) {
+    return `<meta ${attribute}="${name}" content="${escapeHTML(content)}">`;
+}
+
+function handle(label) {
+    const link = profile.links.find((l) => l.label === label);
+    return link && `@${new URL(link.url).pathname.split('/').filter(Boolean).pop()}`;
+}
+
+function personJSON() {
+    const person = {
+        '@context': 'https://schema.org',
+        '@type': 'Person',
+        name: profile.name,
+        givenName: profile.givenName,
+        familyName: profile.familyName,
+        url: profile.url,
+        email: `mailto:${profile.email}`,
+        image: profile.image,
+        sameAs: profile.links.filter((link) => link.sameAs).map((link) => link.url),
+    };
+    // "</" would end the script element early
+    return JSON.stringify(person, null, 2).replace(/<\//g, '<\\/');
+}
+
+function metaLines() {
+    const { name, description, url, socialImage } = profile;
+    const twitter = handle('twitter');
+    const lines = [
+        meta('property', 'og:title', name),
+        meta('property', 'og:site_name', name),
+        meta('property', 'og:description', description),
+        meta('property', 'og:url', url),
+        meta('property', 'og:type', 'profile'),
+        meta('property', 'profile:first_name', profile.givenName),
+        meta('property', 'profile:last_name', profile.familyName),
+        meta('property', 'og:image', socialImage.url),
+        meta('property', 'og:image:width', socialImage.width),
+        meta('property', 'og:image:height', socialImage.height),
+        meta('name', 'twitter:card', 'summary_large_image'),
+    ];
+    if (twitter) lines.push(meta('name', 'twitter:site', twitter), meta('name', 'twitter:creator', twitter));
+    lines.push(
+        meta('name', 'twitter:title', name),
+        meta('name', 'twitter:description', description),
+        meta('name', 'twitter:image', socialImage.url),
+        `<link rel="pgpkey" type="application/pgp-keys" href="${escapeHTML(profile.pgp.key)}">`,
+        '<script type="application/ld+json">',
+        ...personJSON().split('\n'),
+        '</script>',
+    );
+    return lines;
+}
+
+function iconHTML(icon) {
+    if (typeof icon === 'string') return `<i class="fa-icon ${escapeHTML(icon)}"></i>`;
+    const [, , width, height] = icon.viewBox.split(/\s+/).map(Number);
+    return `<svg class="fa-icon svg-inline--fa" viewBox="${escapeHTML(icon.viewBox)}" width="${width / height}em" height="1em" fill="currentColor" aria-hidden="true"><path d="${escapeHTML(icon.path)}"/></svg>`;
+}
+
+function linkLines(link) {
+    // .label only shows on hover, so it cannot name the link
+    let attributes = `href="${escapeHTML(link.url)}" target="_blank" aria-label="${escapeHTML(link.ariaLabel || link.label)}"`;
+    let labelStyle = '';
+    if (link.color) {
+        const color = escapeHTML(link.color);
+        attributes += ` onmouseover="this.querySelector('.fa-icon').style.color = '${color}'"` +
+            ` onmouseout="this.querySelector('.fa-icon').style.color = ''"`;
+        labelStyle = ` style="color:${color}"`;
+    }
+    return [
+        `<li> <a ${attributes}>${iconHTML(link.icon)}`,
+        `        <p${labelStyle} class="label">`,
+        `            ${escapeHTML(link.label)}`,
+        '        </p>',
+        '    </a>',
+        '</li>',
+    ];
+}
+
+function listLines() {
+    return ['<ul>', ...profile.links.flatMap(linkLines).map((line) => `    ${line}`), '</ul>'];
+}
+
+// CRC-24 from RFC 4880 section 6.1, to catch a mangled key before publishing it
+function crc24(bytes) {
+    let crc = 0xb704ce;
+    for (const byte of bytes) {
+        crc ^= byte << 16;
+        for (let i = 0; i < 8; i++) {
+            crc <<= 1;
+            if (crc & 0x1000000) crc ^= 0x1864cfb;
+        }
+    }
+    return crc & 0xffffff;
+}
+
+function dearmor(armored) {
+    const lines = armored.trim().split(/\r?\n/);
+    const start = lines.indexOf('-----BEGIN PGP PUBLIC KEY BLOCK-----');
+    const end = lines.indexOf('-----END PGP PUBLIC KEY BLOCK-----');
+    if (start === -1 || end < start) throw new Error(`${profile.pgp.key}: not an armored public key`);
+    const body = lines.slice(lines.indexOf('', start) + 1, end);
+    const checksum = body[body.length - 1].startsWith('=') && body.pop().slice(1);
+    const key = Buffer.from(body.join(''), 'base64');
+    if (checksum) {
+        const expected = Buffer.from(checksum, 'base64').readUIntBE(0, 3);
+        if (crc24(key) !== expected) throw new Error(`${profile.pgp.key}: armor checksum does not match`);
+    }
+    return key;
+}
+
+// z-base-32 of SHA-1 of the lowercased local part (draft-koch-openpgp-webkey-service)
+function wkdHash(localPart) {
+    const alphabet = 'ybndrfg8ejkmcpqxot1uwisza345h769';
+    const digest = createHash('sha1').update(localPart.toLowerCase()).digest();
+    let bits = '';
+    for (const byte of digest) bits += byte.toString(2).padStart(8, '0');
+    return bits.match(/.{1,5}/g).map((chunk) => alphabet[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+function publishKey() {
+    const key = dearmor(readFileSync(profile.pgp.key.replace(/^\//, ''), 'utf8'));
+    const path = `${WKD}/hu/${wkdHash(profile.pgp.email.split('@')[0])}`;
+    mkdirSync(`${WKD}/hu`, { recursive: true });
+    writeFileSync(path, key);
+    // An empty policy file tells clients this domain serves the direct method
+    writeFileSync(`${WKD}/policy`, '');
+    return path;
+}
+
+let html = readFileSync(PAGE, 'utf8');
+html = fill(html, 'profile:meta', metaLines());
+html = fill(html, 'profile:links', listLines());
+writeFileSync(PAGE, html);
+console.log(`${PAGE}: ${profile.links.length} links, ${profile.links.filter((l) => l.sameAs).length} in sameAs`);
+console.log(`${publishKey()}: key for ${profile.pgp.email}`);
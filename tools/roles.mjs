@@ -0,0 +1,29 @@
+// Writes the tagline roles from /js/roles.json into #definitions, so the list
+// is in the page for crawlers and visitors without JS:
+//
+//   <!-- roles -->  one <li> per role, in roles.json order
+//
+// 6cef7.js types from these items and takes only categories and weights from
+// the JSON, so the two must stay in step: run this after editing roles.json,
+// from the repo root, and commit the output:
+//   node tools/roles.mjs && node tools/precache.mjs
+import { readFileSync, writeFileSync } from 'node:fs';
+import { PAGE, escapeHTML, fill } from './page.mjs';
+
+const ROLES = 'js/roles.json';
+
+// Square brackets in a label mark the linked words; with a link and no
+// brackets the whole label is linked. Links stay out of the tab order, since
+// the list is visually hidden and the typed copy is aria-hidden.
+function roleHTML(role) {
+    const label = escapeHTML(role.label);
+    if (!role.link) return label;
+    const open = `<a href="${escapeHTML(role.link)}" target="_blank" tabindex="-1">`;
+    if (!label.includes('[')) return `${open}${label}</a>`;
+    return label.replace(/\[([^\]]*)\]/g, `${open}$1</a>`);
+}
+
+const roles = JSON.parse(readFileSync(ROLES, 'utf8'));
+const html = fill(readFileSync(PAGE, 'utf8'), 'roles', roles.map((role) => `<li>${roleHTML(role)}</li>`));
+writeFileSync(PAGE, html);
+console.log(`${PAGE}: ${roles.length} roles`);